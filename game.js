@@ -1,93 +1,436 @@
 // Tonnetz Music Grid Game
 // A 3D game with neo-Riemannian Tonnetz grid and MIDI chord playback
 
+import { VoicingEngine, TonnetzEngine, parseScala, parseProgression } from './tonnetz-core.js';
+
 // ============================================
 // AUDIO SYSTEM - Web Audio API for MIDI tones
 // ============================================
 
-class AudioSystem {
+export class AudioSystem {
     constructor() {
         this.audioContext = null;
         this.masterGain = null;
-        this.activeOscillators = [];
+        this.activeVoices = [];
         this.initialized = false;
         this.volume = 0.3;
         this.isMuted = false;
+        
+        // Instrument that renders each note
+        this.instrument = new Instrument('classic');
+        
+        // Master effects settings (sends are 0-1)
+        this.effects = {
+            reverb: 0.2,
+            delay: 0,
+            delayTime: 0.35,
+            delayFeedback: 0.35
+        };
+        this.chain = null;
+        
+        // Notes booked ahead of time by the sequencer, as { voice, end }
+        this.scheduledVoices = [];
+        
+        // Chords held apart from the sphere's, each until released: other
+        // players' in a jam ('peer:<id>') and fingers on the pad
+        // ('pad:<pointer id>'). Key -> { notes, voices }.
+        this.heldChords = new Map();
+        
+        // Expression: 'dynamics' lets the sphere's movement shape the held
+        // chord (see playChord and setGesture), 'crossfade' also sounds the
+        // chord across the nearest edge, fading in as the sphere gets close;
+        // 'off' plays every chord the same. The held chord and the
+        // neighbour each play through their own bus (a filter and a gain).
+        this.expression = 'dynamics';
+        this.heldNotes = null;
+        this.neighborNotes = null;
+        this.neighborVoices = [];
+        this.chordBus = null;
+        this.neighborBus = null;
+        
+        // Functions called with { type: 'play' | 'stop', notes, frequencies,
+        // velocity, time } for every chord start and stop (recording, MIDI
+        // output). velocity (0-1) is null for chords played without a
+        // gesture.
+        this.listeners = [];
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    removeListener(listener) {
+        this.listeners = this.listeners.filter(l => l !== listener);
+    }
+
+    emit(event) {
+        event.time = performance.now();
+        this.listeners.forEach(listener => listener(event));
     }
 
     init() {
         if (this.initialized) return;
         
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        this.masterGain = this.audioContext.createGain();
-        this.masterGain.gain.value = 0.3;
-        this.masterGain.connect(this.audioContext.destination);
+        this.chain = this.createSignalChain(this.audioContext, this.audioContext.destination);
+        this.masterGain = this.chain.masterGain;
+        this.masterGain.gain.value = this.isMuted ? 0 : this.volume;
+        this.chordBus = this.createBus();
+        this.neighborBus = this.createBus();
+        this.neighborBus.gain.gain.value = 0;
         this.initialized = true;
     }
 
+    // input -> filter -> gain -> the signal chain
+    createBus() {
+        const filter = this.audioContext.createBiquadFilter();
+        const gain = this.audioContext.createGain();
+        filter.type = 'lowpass';
+        filter.frequency.value = this.getGestureCutoff(0);
+        filter.connect(gain);
+        gain.connect(this.chain.input);
+        return { input: filter, filter, gain };
+    }
+
+    // Note loudness (0-1) and attack time scale for a chord the sphere
+    // arrives on: faster is louder, with a snappier attack
+    getGestureDynamics(gesture) {
+        if (!gesture || this.expression === 'off') {
+            return { velocity: 1, attackScale: 1 };
+        }
+        return { velocity: 0.6 + 0.4 * gesture.speed, attackScale: 1.5 - gesture.speed };
+    }
+
+    // Brightness: the filter is open at the triangle's center and closes
+    // towards its edges, three octaves down on the edge
+    getGestureCutoff(offset) {
+        const open = 16000;
+        return this.expression === 'off' ? open : open * Math.pow(2, -3 * offset);
+    }
+
+    // Build the master signal chain on any (realtime or offline) context:
+    //
+    //   input ─┬─ dry ─────────────────┬─ compressor ─ masterGain ─ destination
+    //          ├─ reverb send ─ reverb ┤
+    //          └─ delay send ─ delay ──┘
+    //                           └─ feedback ─┘
+    createSignalChain(context, destination) {
+        const input = context.createGain();
+        const dry = context.createGain();
+        const reverbSend = context.createGain();
+        const delaySend = context.createGain();
+        
+        const reverb = context.createConvolver();
+        reverb.buffer = this.createImpulseResponse(context, 2.5, 3);
+        
+        const delay = context.createDelay(2);
+        const feedback = context.createGain();
+        
+        const compressor = context.createDynamicsCompressor();
+        compressor.threshold.value = -18;
+        compressor.knee.value = 12;
+        compressor.ratio.value = 4;
+        compressor.attack.value = 0.005;
+        compressor.release.value = 0.25;
+        
+        const masterGain = context.createGain();
+        
+        input.connect(dry);
+        input.connect(reverbSend);
+        input.connect(delaySend);
+        dry.connect(compressor);
+        reverbSend.connect(reverb);
+        reverb.connect(compressor);
+        delaySend.connect(delay);
+        delay.connect(feedback);
+        feedback.connect(delay);
+        delay.connect(compressor);
+        compressor.connect(masterGain);
+        masterGain.connect(destination);
+        
+        const chain = { input, dry, reverbSend, delaySend, delay, feedback, compressor, masterGain };
+        this.applyEffects(chain);
+        return chain;
+    }
+
+    // Synthesize a reverb impulse response: stereo noise with an
+    // exponentially decaying envelope
+    createImpulseResponse(context, duration, decay) {
+        const length = Math.floor(context.sampleRate * duration);
+        const impulse = context.createBuffer(2, length, context.sampleRate);
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+            }
+        }
+        return impulse;
+    }
+
+    applyEffects(chain = this.chain) {
+        if (!chain) return;
+        chain.dry.gain.value = 1;
+        chain.reverbSend.gain.value = this.effects.reverb;
+        chain.delaySend.gain.value = this.effects.delay;
+        chain.delay.delayTime.value = this.effects.delayTime;
+        chain.feedback.gain.value = this.effects.delayFeedback;
+    }
+
+    setEffect(name, value) {
+        if (!this.effects.hasOwnProperty(name)) return;
+        this.effects[name] = value;
+        this.applyEffects();
+    }
+
+    setInstrument(presetName) {
+        this.instrument = new Instrument(presetName);
+        return this.instrument;
+    }
+
+    // Re-render recorded chords ({ notes, frequencies, start, end,
+    // released, velocity? }, times in seconds) through an
+    // OfflineAudioContext with the current instrument, effects and volume.
+    // Resolves with the rendered AudioBuffer.
+    renderOffline(chords, options = {}) {
+        const sampleRate = options.sampleRate ||
+            (this.audioContext ? this.audioContext.sampleRate : 44100);
+        const lastEnd = chords.reduce((latest, chord) => Math.max(latest, chord.end), 0);
+        
+        // Leave room for the release and the reverb and delay tails
+        let tail = this.instrument.settings.envelope.release + 3;
+        if (this.effects.delay > 0) {
+            // Echoes until the feedback has fallen by 60dB
+            const echoes = Math.log(0.001) / Math.log(Math.min(Math.max(this.effects.delayFeedback, 0.01), 0.95));
+            tail += Math.min(this.effects.delayTime * echoes, 10);
+        }
+        
+        const length = Math.ceil((lastEnd + tail) * sampleRate);
+        const context = new window.OfflineAudioContext(2, length, sampleRate);
+        const chain = this.createSignalChain(context, context.destination);
+        // Rendered at the set volume even when the live output is muted
+        chain.masterGain.gain.value = this.volume;
+        
+        chords.forEach((chord) => {
+            chord.notes.forEach((note, index) => {
+                const voice = this.instrument.createVoice(
+                    context,
+                    chain.input,
+                    chord.frequencies ? chord.frequencies[index] : this.midiToFrequency(note),
+                    chord.start,
+                    chord.velocity ? chord.velocity / 127 : 1
+                );
+                // Same endings as live: released on stop, cut by the next chord
+                if (chord.released) {
+                    voice.release(chord.end);
+                } else {
+                    voice.stop(chord.end);
+                }
+            });
+        });
+        
+        return context.startRendering();
+    }
+
     // Convert MIDI note number to frequency
     midiToFrequency(midiNote) {
         return 440 * Math.pow(2, (midiNote - 69) / 12);
     }
 
-    // Play a sustained chord (holds until stopChord is called)
-    playChord(midiNotes) {
+    // Play a sustained chord (holds until stopChord is called).
+    // frequencies, one per note, override equal temperament. gesture (see
+    // TonnetzEngine.getGesture) is how the sphere arrived, for expression.
+    playChord(midiNotes, frequencies, gesture = null) {
+        const { velocity, attackScale } = this.getGestureDynamics(gesture);
+        
+        // Listeners hear about chords even before audio has started
+        this.emit({
+            type: 'play',
+            notes: midiNotes.slice(),
+            frequencies: frequencies ? frequencies.slice() : null,
+            velocity: gesture && this.expression !== 'off' ? velocity : null
+        });
+        
         if (!this.initialized) return;
 
+        // Rolling into the chord that was fading in: it carries on, and the
+        // one we left becomes the neighbour
+        if (this.isNeighborChord(midiNotes)) {
+            [this.activeVoices, this.neighborVoices] = [this.neighborVoices, this.activeVoices];
+            [this.heldNotes, this.neighborNotes] = [this.neighborNotes, this.heldNotes];
+            [this.chordBus, this.neighborBus] = [this.neighborBus, this.chordBus];
+            this.setGesture(gesture);
+            return;
+        }
+
         // Stop any currently playing notes
         this.stopAll();
+        this.setGesture(gesture);
 
         const now = this.audioContext.currentTime;
 
         midiNotes.forEach((note, index) => {
-            const oscillator = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
+            const voice = this.instrument.createVoice(
+                this.audioContext,
+                this.chordBus.input,
+                frequencies ? frequencies[index] : this.midiToFrequency(note),
+                now,
+                velocity,
+                attackScale
+            );
+            // Don't schedule a release - chord plays until manually stopped
+            this.activeVoices.push(voice);
+        });
+        this.heldNotes = midiNotes.slice();
+    }
+
+    // Whether these notes are the neighbouring chord sounding in a
+    // crossfade
+    isNeighborChord(midiNotes) {
+        return this.neighborNotes !== null && this.neighborVoices.length > 0 &&
+            midiNotes.join(',') === this.neighborNotes.join(',');
+    }
 
-            // Use triangle wave for smooth sound
-            oscillator.type = 'triangle';
-            oscillator.frequency.value = this.midiToFrequency(note);
+    // Sound the chord across the nearest edge for a crossfade, or stop it
+    // with null. Its level follows setGesture.
+    setNeighborChord(midiNotes, frequencies) {
+        if (!this.initialized) return;
+        const notes = midiNotes ? midiNotes.join(',') : null;
+        if (notes === (this.neighborNotes ? this.neighborNotes.join(',') : null)) return;
+        
+        const now = this.audioContext.currentTime;
+        this.neighborVoices.forEach(voice => voice.release(now));
+        this.neighborVoices = [];
+        this.neighborNotes = midiNotes ? midiNotes.slice() : null;
+        if (!midiNotes) return;
+        
+        this.neighborVoices = midiNotes.map((note, index) => this.instrument.createVoice(
+            this.audioContext,
+            this.neighborBus.input,
+            frequencies ? frequencies[index] : this.midiToFrequency(note),
+            now
+        ));
+    }
 
-            // Attack and sustain (no automatic release)
-            gainNode.gain.setValueAtTime(0, now);
-            gainNode.gain.linearRampToValueAtTime(0.4, now + 0.05); // Attack
-            gainNode.gain.linearRampToValueAtTime(0.25, now + 0.15); // Decay to sustain level
+    // Follow the sphere across its triangle: the sound darkens towards the
+    // edges and, when crossfading, the neighbour fades in over the outer
+    // half until both are equally loud on the edge
+    setGesture(gesture) {
+        if (!this.initialized) return;
+        const offset = gesture ? gesture.offset : 0;
+        const mix = this.expression === 'crossfade' ? Math.max(0, offset * 2 - 1) / 2 : 0;
+        const now = this.audioContext.currentTime;
+        const cutoff = this.getGestureCutoff(offset);
+        [this.chordBus, this.neighborBus].forEach((bus) => {
+            bus.filter.frequency.setTargetAtTime(cutoff, now, 0.03);
+        });
+        // Equal-power crossfade
+        this.chordBus.gain.gain.setTargetAtTime(Math.cos(mix * Math.PI / 2), now, 0.03);
+        this.neighborBus.gain.gain.setTargetAtTime(Math.sin(mix * Math.PI / 2), now, 0.03);
+    }
 
-            oscillator.connect(gainNode);
-            gainNode.connect(this.masterGain);
+    setExpression(expression) {
+        this.expression = expression;
+        if (expression !== 'crossfade') {
+            this.setNeighborChord(null);
+        }
+        this.setGesture(null);
+    }
 
-            oscillator.start(now);
-            // Don't schedule a stop - chord plays until manually stopped
+    // Book notes at an audio time for a fixed length (release starts at
+    // time + duration). These are separate from the held chord.
+    playNotesAt(midiNotes, time, duration, frequencies) {
+        if (!this.initialized) return;
+        
+        const now = this.audioContext.currentTime;
+        this.scheduledVoices = this.scheduledVoices.filter(entry => entry.end > now);
+        
+        midiNotes.forEach((note, index) => {
+            const voice = this.instrument.createVoice(
+                this.audioContext,
+                this.chain.input,
+                frequencies ? frequencies[index] : this.midiToFrequency(note),
+                time
+            );
+            const end = voice.release(time + duration);
+            this.scheduledVoices.push({ voice, end });
+        });
+    }
 
-            this.activeOscillators.push({ oscillator, gainNode });
+    // Cut off booked notes, including ones that haven't started yet
+    stopScheduled() {
+        if (!this.initialized) return;
+        
+        const now = this.audioContext.currentTime;
+        this.scheduledVoices.forEach((entry) => {
+            if (entry.end > now) entry.voice.stop(now);
         });
+        this.scheduledVoices = [];
     }
 
-    // Stop current chord with a smooth release
+    // Stop current chord with the instrument's release
     stopChord() {
-        if (!this.initialized || this.activeOscillators.length === 0) return;
+        this.emit({ type: 'stop' });
+        
+        if (!this.initialized) return;
+        this.setNeighborChord(null);
+        if (this.activeVoices.length === 0) return;
 
         const now = this.audioContext.currentTime;
-        const releaseTime = 0.3; // Smooth release
+        this.activeVoices.forEach((voice) => voice.release(now));
+        this.activeVoices = [];
+        this.heldNotes = null;
+    }
 
-        this.activeOscillators.forEach(({ oscillator, gainNode }) => {
-            try {
-                gainNode.gain.cancelScheduledValues(now);
-                gainNode.gain.setValueAtTime(gainNode.gain.value, now);
-                gainNode.gain.linearRampToValueAtTime(0, now + releaseTime);
-                oscillator.stop(now + releaseTime + 0.1);
-            } catch (e) {}
+    // Hold a chord under key until releaseHeldChord, alongside the local
+    // one. Holding a new chord under the same key glides to it: notes
+    // common to both keep sounding and only the rest change.
+    holdChord(key, midiNotes, frequencies) {
+        if (!this.initialized) return;
+        
+        const now = this.audioContext.currentTime;
+        const held = this.heldChords.get(key) || { notes: [], voices: [] };
+        const voices = midiNotes.map((note, index) => {
+            const kept = held.notes.indexOf(note);
+            if (kept !== -1) {
+                held.notes[kept] = null;
+                return held.voices[kept];
+            }
+            return this.instrument.createVoice(
+                this.audioContext,
+                this.chain.input,
+                frequencies ? frequencies[index] : this.midiToFrequency(note),
+                now
+            );
         });
-        this.activeOscillators = [];
+        held.voices.forEach((voice, index) => {
+            if (held.notes[index] !== null) voice.release(now);
+        });
+        this.heldChords.set(key, { notes: midiNotes.slice(), voices });
+    }
+
+    releaseHeldChord(key) {
+        if (!this.heldChords.has(key)) return;
+        const now = this.audioContext.currentTime;
+        this.heldChords.get(key).voices.forEach((voice) => voice.release(now));
+        this.heldChords.delete(key);
+    }
+
+    // Release every held chord whose key starts with prefix (all of them
+    // by default)
+    releaseHeldChords(prefix = '') {
+        Array.from(this.heldChords.keys())
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => this.releaseHeldChord(key));
     }
 
     stopAll() {
-        this.activeOscillators.forEach(({ oscillator, gainNode }) => {
-            try {
-                gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
-                gainNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-            } catch (e) {}
-        });
-        this.activeOscillators = [];
+        if (!this.initialized) return;
+
+        const now = this.audioContext.currentTime;
+        this.activeVoices.forEach((voice) => voice.stop(now));
+        this.activeVoices = [];
+        this.heldNotes = null;
+        this.setNeighborChord(null);
     }
 
     setVolume(value) {
@@ -112,282 +455,2917 @@ class AudioSystem {
 }
 
 // ============================================
-// TONNETZ SYSTEM - Neo-Riemannian Theory
+// INSTRUMENTS - Presets and per-note synthesis
 // ============================================
 
-class TonnetzSystem {
-    constructor() {
-        // Note names in circle of fifths order
-        // We use a simple approach: map pitch class to preferred enharmonic name
-        // This ensures consistency and avoids double accidentals
-        this.pitchClassToName = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
-        
-        // Pitch class lookup (for audio only) - kept for compatibility  
-        this.noteNames = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
-        
-        // Grid dimensions
-        this.gridWidth = 12;
-        this.gridHeight = 8;
-        this.triangleSize = 3; // Size of each triangle cell
-        
-        // The Tonnetz is a lattice where:
-        // - Moving right by 1 = +7 semitones (perfect fifth)
-        // - Moving diagonally up-right = +4 semitones (major third)
-        // - Moving diagonally up-left = +3 semitones (minor third)
-        
-        this.fifthInterval = 7;
-        this.majorThirdInterval = 4;
-        this.minorThirdInterval = 3;
-        
-        // Generate the Tonnetz grid
-        this.grid = this.generateGrid();
-        this.triangles = this.generateTriangles();
-    }
-
-    // Get note name from pitch class using preferred enharmonic spelling
-    getNoteName(pitchClass) {
-        const name = this.pitchClassToName[pitchClass];
-        if (name === undefined) {
-            console.error('Undefined note name for pitchClass:', pitchClass);
-            return '?';
-        }
-        return name;
-    }
-
-    generateGrid() {
-        // Create a 2D grid storing pitch class and note name
-        const grid = [];
-        
-        for (let row = 0; row < this.gridHeight + 1; row++) {
-            grid[row] = [];
-            for (let col = 0; col < this.gridWidth + 1; col++) {
-                // Pitch class: each row +4 semitones (major third), each col +7 semitones (fifth)
-                const pitchClass = ((row * this.majorThirdInterval + col * this.fifthInterval) % 12 + 12) % 12;
-                const noteName = this.getNoteName(pitchClass);
-                grid[row][col] = {
-                    pitchClass: pitchClass,
-                    noteName: noteName
-                };
-            }
-        }
-        
-        // Debug: log first few grid entries
-        console.log('Grid sample:', grid[0][0], grid[0][1], grid[1][0]);
+// Envelope times are in seconds, sustain is a level (0-1), detune in cents.
+// The filter envelope sweeps the cutoff from `frequency` up by `amount` Hz
+// and settles at `frequency + amount * sustain`.
+const INSTRUMENT_PRESETS = {
+    classic: {
+        name: 'Classic',
+        type: 'subtractive',
+        oscillators: [{ type: 'triangle' }],
+        envelope: { attack: 0.05, decay: 0.1, sustain: 0.62, release: 0.3 },
+        filter: { type: 'lowpass', frequency: 12000, q: 0.7, amount: 0, attack: 0.01, decay: 0.1, sustain: 0 },
+        detune: 0,
+        gain: 0.4
+    },
+    pad: {
+        name: 'Warm Pad',
+        type: 'subtractive',
+        oscillators: [{ type: 'sawtooth' }, { type: 'sawtooth' }, { type: 'triangle', octave: -1 }],
+        envelope: { attack: 0.6, decay: 0.8, sustain: 0.8, release: 1.5 },
+        filter: { type: 'lowpass', frequency: 500, q: 2, amount: 1500, attack: 1.2, decay: 2, sustain: 0.4 },
+        detune: 14,
+        gain: 0.18
+    },
+    epiano: {
+        name: 'Electric Piano',
+        type: 'fm',
+        ratio: 1,
+        index: 2.2,
+        indexSustain: 0.15,
+        indexDecay: 0.9,
+        envelope: { attack: 0.004, decay: 2.5, sustain: 0.25, release: 0.6 },
+        filter: { type: 'lowpass', frequency: 2500, q: 0.7, amount: 2500, attack: 0.005, decay: 0.8, sustain: 0.2 },
+        detune: 4,
+        gain: 0.35
+    },
+    organ: {
+        name: 'Organ',
+        type: 'additive',
+        // Drawbar-style partials (16', 8', 5 1/3', 4', 2 2/3', 2', 1 3/5', 1')
+        partials: [
+            { ratio: 0.5, gain: 0.5 },
+            { ratio: 1, gain: 1 },
+            { ratio: 1.5, gain: 0.6 },
+            { ratio: 2, gain: 0.7 },
+            { ratio: 3, gain: 0.35 },
+            { ratio: 4, gain: 0.3 },
+            { ratio: 5, gain: 0.15 },
+            { ratio: 8, gain: 0.2 }
+        ],
+        envelope: { attack: 0.01, decay: 0.05, sustain: 1, release: 0.08 },
+        filter: { type: 'lowpass', frequency: 6000, q: 0.7, amount: 0, attack: 0.01, decay: 0.1, sustain: 0 },
+        detune: 3,
+        gain: 0.1
+    },
+    pluck: {
+        name: 'Plucked String',
+        type: 'karplus',
+        damping: 0.996,
+        brightness: 0.6,
+        duration: 4,
+        envelope: { attack: 0.001, decay: 0.01, sustain: 1, release: 0.4 },
+        filter: { type: 'lowpass', frequency: 3000, q: 0.5, amount: 3000, attack: 0.001, decay: 0.5, sustain: 0 },
+        detune: 2,
+        gain: 0.6
+    },
+    bell: {
+        name: 'FM Bell',
+        type: 'fm',
+        ratio: 3.5,
+        index: 5,
+        indexSustain: 0.05,
+        indexDecay: 2.5,
+        envelope: { attack: 0.002, decay: 4, sustain: 0, release: 2 },
+        filter: { type: 'lowpass', frequency: 9000, q: 0.5, amount: 0, attack: 0.01, decay: 0.1, sustain: 0 },
+        detune: 2,
+        gain: 0.3
+    }
+};
+
+class Instrument {
+    constructor(presetName = 'classic') {
+        this.presetName = INSTRUMENT_PRESETS.hasOwnProperty(presetName) ? presetName : 'classic';
+        // Each instrument gets its own copy so edits don't change the preset
+        this.settings = JSON.parse(JSON.stringify(INSTRUMENT_PRESETS[this.presetName]));
         
-        return grid;
+        // Karplus-Strong buffers, cached per context, pitch and damping
+        this.bufferCache = new Map();
+    }
+
+    // Change one setting by path, e.g. set('envelope.attack', 0.2)
+    set(path, value) {
+        const keys = path.split('.');
+        let target = this.settings;
+        for (let i = 0; i < keys.length - 1; i++) {
+            target = target[keys[i]];
+            if (!target) return;
+        }
+        target[keys[keys.length - 1]] = value;
+    }
+
+    get(path) {
+        return path.split('.').reduce((value, key) => (value ? value[key] : undefined), this.settings);
     }
 
-    generateTriangles() {
-        // Generate triangular cells for the Tonnetz
-        // Each upward triangle = major triad, each downward = minor triad
-        const triangles = [];
-        const triWidth = this.triangleSize;
-        const triHeight = this.triangleSize * Math.sqrt(3) / 2;
+    // Start one note. Returns a voice with release(time) and stop(time).
+    // velocity (0-1) scales the level, attackScale the attack time.
+    createVoice(context, destination, frequency, startTime, velocity = 1, attackScale = 1) {
+        const settings = this.settings;
+        const env = settings.envelope;
         
-        // Helper function to get visual position for a grid vertex
-        // Each vertex at (row, col) should have a consistent visual position
-        // Use cumulative offset (each row shifts right by half width) for parallelogram/Tonnetz layout
-        const getVertexPosition = (row, col) => {
-            return {
-                x: col * triWidth + row * (triWidth / 2),
-                z: row * triHeight
-            };
+        // Sources -> filter -> amplitude envelope -> destination
+        const amp = context.createGain();
+        const filter = context.createBiquadFilter();
+        filter.type = settings.filter.type;
+        filter.Q.value = settings.filter.q;
+        filter.connect(amp);
+        amp.connect(destination);
+        
+        const sources = this.createSources(context, filter, frequency, startTime);
+        sources.forEach(source => source.start(startTime));
+        
+        // Filter envelope
+        const f = settings.filter;
+        const nyquist = context.sampleRate / 2;
+        const cutoff = (value) => Math.min(Math.max(value, 20), nyquist);
+        filter.frequency.setValueAtTime(cutoff(f.frequency), startTime);
+        filter.frequency.linearRampToValueAtTime(cutoff(f.frequency + f.amount), startTime + Math.max(f.attack, 0.001));
+        filter.frequency.setTargetAtTime(
+            cutoff(f.frequency + f.amount * f.sustain),
+            startTime + Math.max(f.attack, 0.001),
+            Math.max(f.decay, 0.001) / 3
+        );
+        
+        // Amplitude envelope (linear segments, so the level at any moment
+        // can be worked out for the release)
+        const peak = settings.gain * velocity;
+        const attack = Math.max(env.attack * attackScale, 0.001);
+        const decay = Math.max(env.decay, 0.001);
+        amp.gain.setValueAtTime(0, startTime);
+        amp.gain.linearRampToValueAtTime(peak, startTime + attack);
+        amp.gain.linearRampToValueAtTime(peak * env.sustain, startTime + attack + decay);
+        
+        const levelAt = (time) => {
+            const t = time - startTime;
+            if (t <= 0) return 0;
+            if (t < attack) return peak * t / attack;
+            if (t < attack + decay) return peak + (peak * env.sustain - peak) * (t - attack) / decay;
+            return peak * env.sustain;
+        };
+        
+        const stopSources = (time) => {
+            sources.forEach((source) => {
+                try {
+                    source.stop(time);
+                } catch (e) {}
+            });
         };
         
-        // In a triangular grid:
-        // - Vertices are at grid positions (row, col)
-        // - Upward triangle at (row, col) uses vertices: (row, col), (row, col+1), (row+1, col)
-        // - Downward triangle at (row, col) uses vertices: (row+1, col), (row, col+1), (row+1, col+1)
-        
-        for (let row = 0; row < this.gridHeight; row++) {
-            for (let col = 0; col < this.gridWidth; col++) {
-                // Get visual positions using consistent calculation for each grid position
-                const v0 = getVertexPosition(row, col);         // (row, col)
-                const v1 = getVertexPosition(row, col + 1);     // (row, col+1)
-                const v2 = getVertexPosition(row + 1, col);     // (row+1, col)
-                const v3 = getVertexPosition(row + 1, col + 1); // (row+1, col+1)
+        return {
+            release(time) {
+                const releaseTime = Math.max(env.release, 0.005);
+                amp.gain.cancelScheduledValues(time);
+                amp.gain.setValueAtTime(levelAt(time), time);
+                amp.gain.linearRampToValueAtTime(0, time + releaseTime);
+                stopSources(time + releaseTime + 0.1);
+                return time + releaseTime;
+            },
+            stop(time) {
+                // Very short fade to avoid a click
+                amp.gain.cancelScheduledValues(time);
+                amp.gain.setValueAtTime(levelAt(time), time);
+                amp.gain.linearRampToValueAtTime(0, time + 0.01);
+                stopSources(time + 0.02);
+            }
+        };
+    }
+
+    // Spread layers evenly across the detune amount; a single layer gets a
+    // small random offset instead, like an analog oscillator
+    layerDetune(index, count) {
+        const detune = this.settings.detune;
+        if (count > 1) {
+            return detune * (index / (count - 1) - 0.5);
+        }
+        return (Math.random() - 0.5) * detune;
+    }
+
+    // Create (but don't start) the sound sources for one note, connected
+    // to output
+    createSources(context, output, frequency, startTime) {
+        const settings = this.settings;
+        
+        switch (settings.type) {
+            case 'additive': {
+                // One sine per partial
+                return settings.partials.map((partial, index) => {
+                    const oscillator = context.createOscillator();
+                    const gain = context.createGain();
+                    oscillator.type = 'sine';
+                    oscillator.frequency.value = frequency * partial.ratio;
+                    oscillator.detune.value = this.layerDetune(index, settings.partials.length);
+                    gain.gain.value = partial.gain;
+                    oscillator.connect(gain);
+                    gain.connect(output);
+                    return oscillator;
+                });
+            }
+            
+            case 'fm': {
+                // Sine carrier whose frequency is modulated by a second sine;
+                // the modulation index decays for the bright-then-mellow attack
+                const carrier = context.createOscillator();
+                const modulator = context.createOscillator();
+                const modulationDepth = context.createGain();
+                const modulatorFrequency = frequency * settings.ratio;
                 
-                // Get grid cell data (now contains pitchClass, noteName)
-                const cell0 = this.grid[row][col];         // (row, col)
-                const cell1 = this.grid[row][col + 1];     // (row, col+1)
-                const cell2 = this.grid[row + 1][col];     // (row+1, col)
-                const cell3 = this.grid[row + 1][col + 1]; // (row+1, col+1)
+                carrier.type = 'sine';
+                modulator.type = 'sine';
+                carrier.frequency.value = frequency;
+                modulator.frequency.value = modulatorFrequency;
+                carrier.detune.value = this.layerDetune(0, 1);
                 
-                // Upward triangle: v0, v1, v2 
-                // Uses grid positions: (row,col), (row,col+1), (row+1,col) 
-                // With our grid: cell0=root, cell1=root+7 (fifth), cell2=root+4 (major third)
-                // This forms a major triad: root, third, fifth
-                const majorChord = [60 + cell0.pitchClass, 60 + cell2.pitchClass, 60 + cell1.pitchClass];
-                triangles.push({
-                    type: 'major',
-                    vertices: [
-                        { x: v0.x, z: v0.z, pitchClass: cell0.pitchClass, noteName: cell0.noteName },
-                        { x: v1.x, z: v1.z, pitchClass: cell1.pitchClass, noteName: cell1.noteName },
-                        { x: v2.x, z: v2.z, pitchClass: cell2.pitchClass, noteName: cell2.noteName }
-                    ],
-                    center: { 
-                        x: (v0.x + v1.x + v2.x) / 3, 
-                        z: (v0.z + v1.z + v2.z) / 3 
-                    },
-                    chord: majorChord,
-                    chordName: cell0.noteName,
-                    row: row,
-                    col: col
-                });
+                // Depth in Hz = index * modulator frequency
+                const depth = settings.index * modulatorFrequency;
+                modulationDepth.gain.setValueAtTime(depth, startTime);
+                modulationDepth.gain.setTargetAtTime(
+                    depth * settings.indexSustain,
+                    startTime,
+                    Math.max(settings.indexDecay, 0.001) / 3
+                );
                 
-                // Downward triangle: v2, v1, v3 (top-left, bottom-right, top-right)
-                // Uses grid positions: (row+1,col), (row,col+1), (row+1,col+1)
-                // Relative to cell2 as root: cell1=minor third, cell3=fifth -> minor triad
-                const minorChord = [60 + cell2.pitchClass, 60 + cell1.pitchClass, 60 + cell3.pitchClass];
-                triangles.push({
-                    type: 'minor',
-                    vertices: [
-                        { x: v2.x, z: v2.z, pitchClass: cell2.pitchClass, noteName: cell2.noteName },
-                        { x: v1.x, z: v1.z, pitchClass: cell1.pitchClass, noteName: cell1.noteName },
-                        { x: v3.x, z: v3.z, pitchClass: cell3.pitchClass, noteName: cell3.noteName }
-                    ],
-                    center: { 
-                        x: (v2.x + v1.x + v3.x) / 3, 
-                        z: (v2.z + v1.z + v3.z) / 3 
-                    },
-                    chord: minorChord,
-                    chordName: cell2.noteName + 'm',
-                    row: row,
-                    col: col
+                modulator.connect(modulationDepth);
+                modulationDepth.connect(carrier.frequency);
+                carrier.connect(output);
+                return [carrier, modulator];
+            }
+            
+            case 'karplus': {
+                const source = context.createBufferSource();
+                source.buffer = this.getPluckBuffer(context, frequency);
+                source.playbackRate.value = Math.pow(2, this.layerDetune(0, 1) / 1200);
+                source.connect(output);
+                return [source];
+            }
+            
+            case 'subtractive':
+            default: {
+                return settings.oscillators.map((layer, index) => {
+                    const oscillator = context.createOscillator();
+                    oscillator.type = layer.type;
+                    oscillator.frequency.value = frequency * Math.pow(2, layer.octave || 0);
+                    oscillator.detune.value = this.layerDetune(index, settings.oscillators.length);
+                    oscillator.connect(output);
+                    return oscillator;
                 });
             }
         }
+    }
+
+    // Karplus-Strong plucked string: a burst of noise fed through a delay
+    // line one period long, averaged and damped on every pass
+    getPluckBuffer(context, frequency) {
+        const { damping, brightness, duration } = this.settings;
+        const key = `${context.sampleRate}:${frequency.toFixed(2)}:${damping}:${brightness}:${duration}`;
+        const cache = this.bufferCache;
+        if (cache.has(key)) return cache.get(key);
+        
+        const sampleRate = context.sampleRate;
+        const length = Math.floor(sampleRate * duration);
+        // Averaging adds half a sample of delay, so shorten the loop to match
+        const period = Math.max(2, Math.round(sampleRate / frequency - 0.5));
+        const buffer = context.createBuffer(1, length, sampleRate);
+        const data = buffer.getChannelData(0);
         
-        // Debug: log first triangle
-        if (triangles.length > 0) {
-            console.log('First triangle:', triangles[0]);
-            console.log('First triangle vertices:', triangles[0].vertices);
+        // Initial excitation: noise, smoothed more for a darker pluck
+        let previous = 0;
+        for (let i = 0; i < period && i < length; i++) {
+            const noise = Math.random() * 2 - 1;
+            previous = brightness * noise + (1 - brightness) * previous;
+            data[i] = previous;
+        }
+        for (let i = period; i < length; i++) {
+            data[i] = damping * 0.5 * (data[i - period] + data[Math.max(i - period - 1, 0)]);
         }
         
-        return triangles;
+        // Keep the cache from growing without bound
+        if (cache.size >= 48) {
+            cache.delete(cache.keys().next().value);
+        }
+        cache.set(key, buffer);
+        return buffer;
     }
+}
 
-    getMajorTriad(row, col) {
-        // Major triad: root, major third (+4), perfect fifth (+7)
-        const root = this.grid[row][col];
-        // All notes in same octave (middle C = 60)
-        return [
-            60 + root,               // Root
-            60 + root + 4,           // Major third
-            60 + root + 7            // Perfect fifth
-        ];
+// ============================================
+// RECORDING - Chord history and MIDI file export
+// ============================================
+
+class ChordRecorder {
+    constructor() {
+        // Finished chords as { notes, frequencies, start, end, released }
+        // (frequencies null for equal temperament), times in seconds from
+        // the first chord (released: ended by a stop rather than the next
+        // chord); the chord still sounding is kept separately
+        this.chords = [];
+        this.current = null;
+        this.startTime = null;
     }
 
-    getMinorTriad(row, col) {
-        // Minor triad: root, minor third (+3), perfect fifth (+7)
-        const root = this.grid[row][col];
-        // All notes in same octave (middle C = 60)
-        return [
-            60 + root,               // Root
-            60 + root + 3,           // Minor third
-            60 + root + 7            // Perfect fifth
-        ];
+    // AudioSystem listener
+    handleEvent(event) {
+        if (this.startTime === null) {
+            if (event.type !== 'play') return;
+            this.startTime = event.time;
+        }
+        const time = (event.time - this.startTime) / 1000;
+        
+        // A new chord or a stop ends whatever was sounding
+        if (this.current) {
+            this.current.end = time;
+            this.current.released = event.type === 'stop';
+            this.chords.push(this.current);
+            this.current = null;
+        }
+        if (event.type === 'play' && event.notes.length > 0) {
+            this.current = { notes: event.notes.slice(), frequencies: event.frequencies || null, start: time, end: null, released: false };
+            if (event.velocity) {
+                // MIDI velocity, 1-127
+                this.current.velocity = Math.max(1, Math.round(event.velocity * 127));
+            }
+        }
+    }
+
+    clear() {
+        this.chords = [];
+        this.current = null;
+        this.startTime = null;
+    }
+
+    // Every recorded chord, with the one still sounding cut off at the
+    // present moment
+    getChords() {
+        const chords = this.chords.slice();
+        if (this.current) {
+            const now = (performance.now() - this.startTime) / 1000;
+            chords.push(Object.assign({}, this.current, { end: now, released: true }));
+        }
+        return chords;
+    }
+
+    get length() {
+        return this.chords.length + (this.current ? 1 : 0);
     }
+}
 
-    getChordName(midiNotes, type) {
-        const rootNote = midiNotes[0] % 12;
-        const noteName = this.noteNames[rootNote];
-        return type === 'major' ? noteName : noteName + 'm';
+// Writes Type-1 Standard MIDI Files: track 0 holds tempo and time
+// signature, track 1 the chords
+class MidiFileWriter {
+    constructor(options = {}) {
+        this.tempo = options.tempo || 120;       // BPM
+        this.ppq = options.ppq || 480;           // Ticks per quarter note
+        this.quantize = options.quantize || 0;   // Grid in beats (0 = off)
+        this.velocity = options.velocity || 90;
+        this.channel = options.channel || 0;
+        this.trackName = options.trackName || 'Tonnetz';
     }
 
-    // Check if a point is inside a triangle
-    pointInTriangle(px, pz, triangle) {
-        const v = triangle.vertices;
+    // chords: [{ notes, start, end, velocity? }] with times in seconds.
+    // Returns the file as a Uint8Array.
+    write(chords) {
+        const tempoTrack = [
+            ...this.metaEvent(0, 0x03, this.textBytes(this.trackName)),
+            // Microseconds per quarter note
+            ...this.metaEvent(0, 0x51, this.int(Math.round(60000000 / this.tempo), 3)),
+            // 4/4, 24 MIDI clocks per click, 8 32nds per quarter
+            ...this.metaEvent(0, 0x58, [4, 2, 24, 8]),
+            ...this.metaEvent(0, 0x2f, [])
+        ];
         
-        const sign = (p1, p2, p3) => {
-            return (p1.x - p3.x) * (p2.z - p3.z) - (p2.x - p3.x) * (p1.z - p3.z);
-        };
+        // Absolute-time note events, sorted so note-offs come before
+        // note-ons at the same tick (repeated notes retrigger cleanly)
+        const events = [];
+        chords.forEach((chord) => {
+            let start = this.secondsToTicks(chord.start);
+            let end = this.secondsToTicks(chord.end);
+            if (end <= start) {
+                end = start + (this.quantize ? this.beatsToTicks(this.quantize) : 1);
+            }
+            const velocity = Math.max(1, Math.min(127, Math.round(chord.velocity || this.velocity)));
+            chord.notes.forEach((note) => {
+                events.push({ tick: start, order: 1, bytes: [0x90 | this.channel, note, velocity] });
+                events.push({ tick: end, order: 0, bytes: [0x80 | this.channel, note, 0] });
+            });
+        });
+        events.sort((a, b) => a.tick - b.tick || a.order - b.order);
         
-        const d1 = sign({ x: px, z: pz }, v[0], v[1]);
-        const d2 = sign({ x: px, z: pz }, v[1], v[2]);
-        const d3 = sign({ x: px, z: pz }, v[2], v[0]);
+        const noteTrack = [...this.metaEvent(0, 0x03, this.textBytes('Chords'))];
+        let lastTick = 0;
+        events.forEach((event) => {
+            noteTrack.push(...this.variableLength(event.tick - lastTick), ...event.bytes);
+            lastTick = event.tick;
+        });
+        noteTrack.push(...this.metaEvent(0, 0x2f, []));
         
-        const hasNeg = (d1 < 0) || (d2 < 0) || (d3 < 0);
-        const hasPos = (d1 > 0) || (d2 > 0) || (d3 > 0);
+        const header = [
+            ...this.textBytes('MThd'),
+            ...this.int(6, 4),
+            ...this.int(1, 2),          // Format 1
+            ...this.int(2, 2),          // Two tracks
+            ...this.int(this.ppq, 2)
+        ];
         
-        return !(hasNeg && hasPos);
+        return new Uint8Array([
+            ...header,
+            ...this.chunk('MTrk', tempoTrack),
+            ...this.chunk('MTrk', noteTrack)
+        ]);
+    }
+
+    beatsToTicks(beats) {
+        return Math.round(beats * this.ppq);
+    }
+
+    secondsToTicks(seconds) {
+        let beats = seconds * this.tempo / 60;
+        if (this.quantize) {
+            beats = Math.round(beats / this.quantize) * this.quantize;
+        }
+        return this.beatsToTicks(beats);
+    }
+
+    chunk(type, data) {
+        return [...this.textBytes(type), ...this.int(data.length, 4), ...data];
     }
 
-    // Find which triangle contains the given point
-    findTriangleAtPosition(x, z) {
-        for (const triangle of this.triangles) {
-            if (this.pointInTriangle(x, z, triangle)) {
-                return triangle;
+    metaEvent(delta, type, data) {
+        return [...this.variableLength(delta), 0xff, type, ...this.variableLength(data.length), ...data];
+    }
+
+    // Big-endian integer in the given number of bytes
+    int(value, bytes) {
+        const result = [];
+        for (let i = bytes - 1; i >= 0; i--) {
+            result.push((value >> (i * 8)) & 0xff);
+        }
+        return result;
+    }
+
+    // MIDI variable-length quantity: 7 bits per byte, high bit set on all
+    // but the last
+    variableLength(value) {
+        const bytes = [value & 0x7f];
+        value = Math.floor(value / 128);
+        while (value > 0) {
+            bytes.unshift((value & 0x7f) | 0x80);
+            value = Math.floor(value / 128);
+        }
+        return bytes;
+    }
+
+    textBytes(text) {
+        return Array.from(text).map(c => c.charCodeAt(0) & 0x7f);
+    }
+}
+
+// Encode an AudioBuffer as a PCM WAV file (16 or 24 bit). Returns an
+// ArrayBuffer.
+function encodeWav(audioBuffer, bitDepth = 16) {
+    const channels = audioBuffer.numberOfChannels;
+    const sampleRate = audioBuffer.sampleRate;
+    const frames = audioBuffer.length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels * bytesPerSample;
+    const dataSize = frames * blockAlign;
+    
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+    const writeText = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+    
+    // RIFF header and fmt chunk (little-endian throughout)
+    writeText(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeText(8, 'WAVE');
+    writeText(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);                // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeText(36, 'data');
+    view.setUint32(40, dataSize, true);
+    
+    // Interleaved samples, clipped to [-1, 1]
+    const data = [];
+    for (let channel = 0; channel < channels; channel++) {
+        data.push(audioBuffer.getChannelData(channel));
+    }
+    const maxValue = Math.pow(2, bitDepth - 1) - 1;
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+        for (let channel = 0; channel < channels; channel++) {
+            const sample = Math.max(-1, Math.min(1, data[channel][i]));
+            const value = Math.round(sample * maxValue);
+            if (bitDepth === 24) {
+                view.setUint8(offset, value & 0xff);
+                view.setUint8(offset + 1, (value >> 8) & 0xff);
+                view.setUint8(offset + 2, (value >> 16) & 0xff);
+            } else {
+                view.setInt16(offset, value, true);
             }
+            offset += bytesPerSample;
         }
-        return null;
     }
+    
+    return buffer;
+}
+
+// Save a Blob as a file through a temporary download link
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 // ============================================
-// GAME CLASS - Main game logic
+// MIDI - Web MIDI output and input
 // ============================================
 
-class TonnetzGame {
-    constructor() {
-        this.container = document.getElementById('game-container');
-        this.chordDisplay = document.querySelector('#chord-display .chord-name');
-        this.notesDisplay = document.querySelector('#chord-display .notes');
-        
-        // Initialize systems
-        this.audioSystem = new AudioSystem();
-        this.tonnetz = new TonnetzSystem();
+// Sends the game's chords to a MIDI output port and reports triads played
+// on a MIDI input. requestAccess defaults to navigator.requestMIDIAccess and
+// can be swapped for a mock.
+export class MidiBridge {
+    constructor(requestAccess) {
+        this.requestAccess = requestAccess || (
+            typeof navigator !== 'undefined' && navigator.requestMIDIAccess
+                ? () => navigator.requestMIDIAccess()
+                : null
+        );
+        this.access = null;
+        this.output = null;
+        this.input = null;
+        this.channel = 0;
+        this.velocity = 90;
         
-        // Three.js components
-        this.scene = null;
-        this.camera = null;
-        this.renderer = null;
+        // Notes we have sent note-ons for, and notes held on the input
+        this.soundingNotes = [];
+        this.heldNotes = new Set();
         
-        // Player
-        this.player = null;
-        this.playerRadius = 0.5;
-        this.playerSpeed = 0.00167;
-        this.velocity = { x: 0, z: 0 };
-        this.friction = 0.95;
+        // Callbacks
+        this.onTriad = null;         // (pitchClasses, notes) for each new triad held
+        this.onPortsChanged = null;  // () when devices are plugged in or removed
         
-        // Input state
-        this.keys = {
-            w: false,
-            a: false,
-            s: false,
-            d: false
-        };
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    get supported() {
+        return this.requestAccess !== null;
+    }
+
+    // Ask for MIDI access. Resolves with true when granted.
+    connect() {
+        if (!this.supported) return Promise.resolve(false);
+        if (this.access) return Promise.resolve(true);
         
-        // Current triangle
-        this.currentTriangle = null;
-        this.triangleMeshes = [];
+        return Promise.resolve(this.requestAccess()).then((access) => {
+            this.access = access;
+            access.onstatechange = () => {
+                // Forget ports that have been unplugged
+                if (this.output && this.output.state === 'disconnected') {
+                    this.output = null;
+                    this.soundingNotes = [];
+                }
+                if (this.input && this.input.state === 'disconnected') {
+                    this.setInput(null);
+                }
+                if (this.onPortsChanged) this.onPortsChanged();
+            };
+            return true;
+        });
+    }
+
+    getOutputs() {
+        return this.access ? Array.from(this.access.outputs.values()) : [];
+    }
+
+    getInputs() {
+        return this.access ? Array.from(this.access.inputs.values()) : [];
+    }
+
+    setOutput(id) {
+        this.allNotesOff();
+        this.output = this.getOutputs().find(port => port.id === id) || null;
+    }
+
+    setInput(id) {
+        if (this.input) {
+            this.input.onmidimessage = null;
+        }
+        this.heldNotes.clear();
+        this.input = this.getInputs().find(port => port.id === id) || null;
+        if (this.input) {
+            this.input.onmidimessage = this.handleMessage;
+        }
+    }
+
+    // AudioSystem listener: mirror every chord on the output port
+    handleAudioEvent(event) {
+        if (!this.output) return;
         
-        // Touch controls
-        this.isMobile = this.detectMobile();
-        this.touchActive = false;
-        this.touchTarget = { x: 0, z: 0 };
+        this.allNotesOff();
+        if (event.type === 'play') {
+            // Chords that carry a loudness keep it; the others use the set velocity
+            const velocity = event.velocity ? Math.max(1, Math.round(event.velocity * 127)) : this.velocity;
+            event.notes.forEach((note) => {
+                this.output.send([0x90 | this.channel, note, velocity]);
+            });
+            this.soundingNotes = event.notes.slice();
+        }
+    }
+
+    allNotesOff() {
+        if (this.output) {
+            this.soundingNotes.forEach((note) => {
+                this.output.send([0x80 | this.channel, note, 0]);
+            });
+        }
+        this.soundingNotes = [];
+    }
+
+    handleMessage(message) {
+        const [status, note, velocity] = message.data;
+        const command = status & 0xf0;
         
-        // Setup
-        this.init();
-        this.setupEventListeners();
-        this.animate();
+        // A note-on with velocity 0 is a note-off
+        if (command === 0x90 && velocity > 0) {
+            this.heldNotes.add(note);
+            this.checkTriad();
+        } else if (command === 0x80 || command === 0x90) {
+            this.heldNotes.delete(note);
+        }
     }
 
-    detectMobile() {
-        // Detect if the device is mobile/touch-enabled
-        return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ||
-               (window.matchMedia && window.matchMedia('(max-width: 768px)').matches);
+    // Report the held notes when they make a major or minor triad, in any
+    // voicing or inversion
+    checkTriad() {
+        const notes = Array.from(this.heldNotes).sort((a, b) => a - b);
+        const pitchClasses = Array.from(new Set(notes.map(note => note % 12)));
+        if (pitchClasses.length !== 3) return;
+        
+        for (let i = 0; i < 3; i++) {
+            const root = pitchClasses[i];
+            const intervals = pitchClasses.map(pc => (pc - root + 12) % 12).sort((a, b) => a - b);
+            const key = intervals.join(',');
+            if (key === '0,4,7' || key === '0,3,7') {
+                if (this.onTriad) this.onTriad(pitchClasses, notes);
+                return;
+            }
+        }
     }
+}
 
-    init() {
-        // Create scene
-        this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(0x1a1a2e);
-        // No fog for orthographic (it doesn't work well with ortho)
+// ============================================
+// SEQUENCER - Looping chord progressions
+// ============================================
 
-        // Create orthographic camera with isometric-style angle
+export class ProgressionSequencer {
+    constructor(audioSystem) {
+        this.audioSystem = audioSystem;
+        
+        // Steps as { triangle, beats, position, notes }; position is the
+        // world point the step was placed at (for drawing the path)
+        this.steps = [];
+        
+        this.tempo = 100;         // BPM
+        this.pattern = 'block';
+        this.rate = 0.5;          // Beats per arpeggio note
+        this.swing = 0;           // Offbeat delay: 0 straight, 1/3 triplet, 1/2 dotted
+        
+        // Arpeggio orders over the chord's notes (ascending), as note
+        // indices for a chord of n notes
+        this.patterns = {
+            block: null,
+            up: n => this.range(n),
+            down: n => this.range(n).reverse(),
+            // Up then back down without repeating the ends
+            alternating: n => this.range(n).concat(this.range(n).reverse().slice(1, -1)),
+            // Lowest note, then each inner note against the top (Alberti bass)
+            broken: n => {
+                if (n < 3) return this.range(n);
+                const order = [];
+                for (let i = 1; i < n - 1; i++) {
+                    order.push(0, n - 1, i, n - 1);
+                }
+                return order;
+            }
+        };
+        
+        this.voicing = new VoicingEngine();
+        this.tuning = null;       // Tuning for the note frequencies; equal temperament when null
+        
+        // Lookahead scheduling: a timer wakes up every `interval` ms and
+        // books everything due in the next `lookahead` seconds on the
+        // audio clock
+        this.lookahead = 0.1;
+        this.interval = 25;
+        this.timer = null;
+        this.playing = false;
+        this.startTime = 0;       // Audio time of beat 0
+        this.nextIndex = 0;
+        this.nextBeat = 0;
+        
+        this.onStep = null;       // (index) as each step starts sounding
+    }
+
+    range(n) {
+        return Array.from({ length: n }, (_, i) => i);
+    }
+
+    addStep(triangle, beats, position) {
+        this.steps.push({ triangle, beats, position, notes: null });
+        this.revoice();
+    }
+
+    removeLastStep() {
+        this.steps.pop();
+        if (this.steps.length === 0) {
+            this.stop();
+        } else {
+            // If the removed step was due next, carry on from the top
+            this.nextIndex %= this.steps.length;
+        }
+        this.revoice();
+    }
+
+    clear() {
+        this.stop();
+        this.steps = [];
+    }
+
+    setStepBeats(index, beats) {
+        if (this.steps[index]) {
+            this.steps[index].beats = beats;
+        }
+    }
+
+    setTempo(tempo) {
+        if (!(tempo > 0)) return;
+        if (this.playing) {
+            // Keep the current beat where it is
+            const now = this.audioSystem.audioContext.currentTime;
+            const beat = (now - this.startTime) * this.tempo / 60;
+            this.startTime = now - beat * 60 / tempo;
+        }
+        this.tempo = tempo;
+    }
+
+    setStrategy(strategy) {
+        this.voicing.setStrategy(strategy);
+        this.revoice();
+    }
+
+    // Voice the loop from the top so each step leads smoothly into the next
+    revoice() {
+        this.voicing.reset();
+        this.steps.forEach((step) => {
+            step.notes = this.voicing.voice(step.triangle.pitchClasses);
+        });
+    }
+
+    get totalBeats() {
+        return this.steps.reduce((total, step) => total + step.beats, 0);
+    }
+
+    start() {
+        if (this.playing || this.steps.length === 0 || !this.audioSystem.initialized) return false;
+        
+        this.playing = true;
+        this.startTime = this.audioSystem.audioContext.currentTime + 0.05;
+        this.nextIndex = 0;
+        this.nextBeat = 0;
+        this.schedule();
+        this.timer = setInterval(() => this.schedule(), this.interval);
+        return true;
+    }
+
+    stop() {
+        if (!this.playing) return;
+        this.playing = false;
+        clearInterval(this.timer);
+        this.timer = null;
+        this.audioSystem.stopScheduled();
+    }
+
+    // Beat position to audio time, pushing every second subdivision later
+    // by the swing amount
+    beatToTime(beat) {
+        const pair = this.rate * 2;
+        const bar = Math.floor(beat / pair) * pair;
+        const offset = beat - bar;
+        const split = this.rate * (1 + this.swing);
+        const swung = offset < this.rate
+            ? offset * split / this.rate
+            : split + (offset - this.rate) * (pair - split) / this.rate;
+        return this.startTime + (bar + swung) * 60 / this.tempo;
+    }
+
+    schedule() {
+        const now = this.audioSystem.audioContext.currentTime;
+        while (this.playing && this.beatToTime(this.nextBeat) < now + this.lookahead) {
+            const step = this.steps[this.nextIndex];
+            this.scheduleStep(step, this.nextIndex, this.nextBeat, now);
+            this.nextBeat += step.beats;
+            this.nextIndex = (this.nextIndex + 1) % this.steps.length;
+        }
+    }
+
+    scheduleStep(step, index, beat, now) {
+        const time = this.beatToTime(beat);
+        const order = this.patterns[this.pattern];
+        const frequencies = this.tuning ? this.tuning.frequenciesFor(step.notes, [step.triangle]) : null;
+        
+        if (!order) {
+            // Block chord, released just before the next step
+            const length = this.beatToTime(beat + step.beats) - time;
+            this.audioSystem.playNotesAt(step.notes, time, length * 0.95, frequencies);
+        } else {
+            const indices = order(step.notes.length);
+            const count = Math.max(1, Math.round(step.beats / this.rate));
+            for (let i = 0; i < count; i++) {
+                const noteBeat = beat + i * this.rate;
+                const start = this.beatToTime(noteBeat);
+                const length = this.beatToTime(noteBeat + this.rate) - start;
+                const noteIndex = indices[i % indices.length];
+                this.audioSystem.playNotesAt([step.notes[noteIndex]], start, length * 0.9,
+                    frequencies && [frequencies[noteIndex]]);
+            }
+        }
+        
+        if (this.onStep) {
+            setTimeout(() => {
+                if (this.playing && this.onStep) this.onStep(index);
+            }, Math.max(0, (time - now) * 1000));
+        }
+    }
+}
+
+// ============================================
+// PUZZLES - Challenge levels
+// ============================================
+
+// Levels are plain JSON:
+//
+//   id, title, description
+//   start       chord the sphere starts on
+//   goal        'reach' (any target), 'visit' (every target, any order) or
+//               'sequence' (targets in order, other chords allowed between)
+//   targets     chords to reach
+//   forbidden   chords that end the level when touched
+//   moves       { exact: n } or { max: n }
+//   timeLimit   seconds
+//   par         move count for a three-star score
+//   movement    'discrete' to play the level with PLR keys only
+//
+// A chord is a symbol ('F#m'), a filter ({ quality: 'minor', contains: 'E' },
+// { inKey: 'C' }, { outsideKey: 'Am' }) or a lattice cell ({ row, col, type }).
+const PUZZLE_LEVELS = [
+    {
+        id: 'first-steps',
+        title: 'First steps',
+        description: 'Roll from C to its relative minor, Am.',
+        start: 'C',
+        goal: 'reach',
+        targets: ['Am'],
+        par: 1
+    },
+    {
+        id: 'tritone-trip',
+        title: 'Tritone trip',
+        description: 'Get from C to F#m in exactly 3 moves.',
+        start: 'C',
+        goal: 'reach',
+        targets: ['F#m'],
+        moves: { exact: 3 },
+        movement: 'discrete'
+    },
+    {
+        id: 'minor-e',
+        title: 'E in the minor',
+        description: 'Visit every minor chord containing E.',
+        start: 'C',
+        goal: 'visit',
+        targets: [{ quality: 'minor', contains: 'E' }],
+        timeLimit: 90,
+        par: 6
+    },
+    {
+        id: 'stay-in-c',
+        title: 'Stay in C',
+        description: 'Play C, Am, F then G without touching a chord outside C major.',
+        start: 'C',
+        goal: 'sequence',
+        targets: ['C', 'Am', 'F', 'G'],
+        forbidden: [{ outsideKey: 'C' }],
+        par: 6
+    },
+    {
+        id: 'flat-side',
+        title: 'The flat side',
+        description: 'Reach Ebm from C in at most 4 moves, within a minute.',
+        start: 'C',
+        goal: 'reach',
+        targets: ['Ebm'],
+        moves: { max: 4 },
+        timeLimit: 60,
+        par: 3,
+        movement: 'discrete'
+    }
+];
+
+// Check a level definition, throwing an Error that says what's wrong
+function validatePuzzleLevel(level, tonnetz) {
+    if (!level || typeof level !== 'object') {
+        throw new Error('Level must be an object');
+    }
+    const label = level.id ? `Level "${level.id}"` : 'Level';
+    if (typeof level.id !== 'string' || !level.id) {
+        throw new Error(`${label}: missing id`);
+    }
+    if (typeof level.title !== 'string') {
+        throw new Error(`${label}: missing title`);
+    }
+    if (level.start === undefined) {
+        throw new Error(`${label}: missing start`);
+    }
+    if (!['reach', 'visit', 'sequence'].includes(level.goal || 'reach')) {
+        throw new Error(`${label}: unknown goal "${level.goal}"`);
+    }
+    if (!Array.isArray(level.targets) || level.targets.length === 0) {
+        throw new Error(`${label}: needs at least one target`);
+    }
+    if (level.forbidden !== undefined && !Array.isArray(level.forbidden)) {
+        throw new Error(`${label}: forbidden must be a list`);
+    }
+    if (level.moves !== undefined && !(level.moves.exact > 0 || level.moves.max > 0)) {
+        throw new Error(`${label}: moves needs an exact or max count`);
+    }
+    if (level.timeLimit !== undefined && !(level.timeLimit > 0)) {
+        throw new Error(`${label}: timeLimit must be a positive number of seconds`);
+    }
+    
+    // Every chord must make sense, and the start must be on the grid
+    const session = new PuzzleSession(level, tonnetz);
+    if (!tonnetz.triangles.some(triangle => session.isStart(triangle))) {
+        throw new Error(`${label}: start chord is not on the grid`);
+    }
+    return level;
+}
+
+// One attempt at a level: counts moves and time, and tracks the targets.
+// nameTriangle gives the chord names shown for targets and messages.
+class PuzzleSession {
+    constructor(level, tonnetz, nameTriangle = triangle => triangle.chordName) {
+        this.level = level;
+        this.tonnetz = tonnetz;
+        this.nameTriangle = nameTriangle;
+        this.goal = level.goal || 'reach';
+        
+        this.isStart = this.compileChord(level.start);
+        this.forbidden = (level.forbidden || []).map(chord => this.compileChord(chord));
+        
+        // Targets as { label, test }. For 'visit', a filter becomes one
+        // target per chord it matches, so "every minor chord with E" lists
+        // each of them.
+        if (this.goal === 'visit') {
+            this.targets = this.expandChords(level.targets);
+        } else {
+            this.targets = level.targets.map(chord => ({
+                label: this.describeChord(chord),
+                test: this.compileChord(chord)
+            }));
+        }
+        
+        this.reached = new Set();    // Indices of targets hit
+        this.moves = 0;
+        this.startTime = null;
+        this.endTime = null;
+        this.status = 'ready';       // ready, playing, solved, failed
+        this.message = '';
+        this.score = 0;
+        this.stars = 0;
+        this.saved = false;          // Result stored in the progress
+    }
+
+    // Turn a chord description into a test on triangles
+    compileChord(chord) {
+        if (typeof chord === 'string') {
+            const parsed = this.tonnetz.parseChordSymbol(chord);
+            if (!parsed) throw new Error(`Unknown chord "${chord}"`);
+            const key = this.tonnetz.getChordKey(parsed.pitchClasses);
+            return triangle => this.tonnetz.getChordKey(triangle.pitchClasses) === key;
+        }
+        if (!chord || typeof chord !== 'object') {
+            throw new Error(`Unknown chord ${JSON.stringify(chord)}`);
+        }
+        if (chord.chord !== undefined) {
+            return this.compileChord(chord.chord);
+        }
+        if (chord.row !== undefined) {
+            return triangle => triangle.row === chord.row && triangle.col === chord.col &&
+                triangle.type === (chord.type || 'major');
+        }
+        
+        const tests = [];
+        if (chord.quality !== undefined) {
+            tests.push(triangle => triangle.quality === chord.quality);
+        }
+        if (chord.contains !== undefined) {
+            const notes = (Array.isArray(chord.contains) ? chord.contains : [chord.contains]).map((name) => {
+                const pc = this.tonnetz.parseNoteName(name);
+                if (pc === null) throw new Error(`Unknown note "${name}"`);
+                return pc;
+            });
+            tests.push(triangle => notes.every(pc => triangle.pitchClasses.includes(pc)));
+        }
+        ['inKey', 'outsideKey'].forEach((field) => {
+            if (chord[field] === undefined) return;
+            const scale = this.tonnetz.getKeyScale(chord[field]);
+            if (!scale) throw new Error(`Unknown key "${chord[field]}"`);
+            const inside = field === 'inKey';
+            tests.push(triangle => triangle.pitchClasses.every(pc => scale.includes(pc)) === inside);
+        });
+        if (tests.length === 0) {
+            throw new Error(`Unknown chord ${JSON.stringify(chord)}`);
+        }
+        return triangle => tests.every(test => test(triangle));
+    }
+
+    describeChord(chord) {
+        if (typeof chord === 'string') return chord;
+        if (chord.chord !== undefined) return chord.chord;
+        if (chord.row !== undefined) {
+            const triangle = this.tonnetz.getTriangleAt(chord.row, chord.col, chord.type || 'major');
+            return triangle ? this.nameTriangle(triangle) : '?';
+        }
+        return 'chord';
+    }
+
+    // One target per distinct chord on the grid matching any description
+    expandChords(chords) {
+        const targets = [];
+        const seen = new Set();
+        chords.forEach((chord) => {
+            const test = this.compileChord(chord);
+            this.tonnetz.triangles.forEach((triangle) => {
+                const key = this.tonnetz.getChordKey(triangle.pitchClasses);
+                if (seen.has(key) || !test(triangle)) return;
+                seen.add(key);
+                targets.push({
+                    label: this.nameTriangle(triangle),
+                    test: other => this.tonnetz.getChordKey(other.pitchClasses) === key
+                });
+            });
+        });
+        if (targets.length === 0) {
+            throw new Error('No chord on the grid matches the targets');
+        }
+        return targets;
+    }
+
+    // Start the clock with the sphere on the start triangle, which counts
+    // towards the targets (e.g. the first chord of a sequence)
+    begin(now, triangle) {
+        this.status = 'playing';
+        this.startTime = now;
+        if (triangle) {
+            this.visit(triangle);
+        }
+    }
+
+    // Seconds used so far
+    elapsed(now) {
+        if (this.startTime === null) return 0;
+        return ((this.endTime !== null ? this.endTime : now) - this.startTime) / 1000;
+    }
+
+    timeLeft(now) {
+        if (!this.level.timeLimit) return null;
+        return Math.max(0, this.level.timeLimit - this.elapsed(now));
+    }
+
+    // Called every frame to enforce the time limit
+    update(now) {
+        if (this.status === 'playing' && this.timeLeft(now) === 0) {
+            this.finish(now, 'failed', "Time's up");
+        }
+    }
+
+    // The sphere moved onto a new triangle
+    enter(triangle, now) {
+        if (this.status !== 'playing') return;
+        this.moves++;
+        
+        if (this.isForbidden(triangle)) {
+            this.finish(now, 'failed', `${this.nameTriangle(triangle)} is off limits`);
+            return;
+        }
+        this.visit(triangle);
+        
+        const limits = this.level.moves || {};
+        const done = this.goal === 'reach'
+            ? this.targets.some(target => target.test(triangle))
+            : this.reached.size === this.targets.length;
+        
+        // With an exact count, arriving early doesn't count yet
+        if (done && (limits.exact === undefined || this.moves === limits.exact)) {
+            this.finish(now, 'solved', 'Solved!');
+        } else if (this.moves >= (limits.exact || limits.max || Infinity)) {
+            this.finish(now, 'failed', 'Out of moves');
+        }
+    }
+
+    // Mark the targets a triangle satisfies
+    visit(triangle) {
+        if (this.goal === 'sequence') {
+            const next = this.targets[this.reached.size];
+            if (next && next.test(triangle)) {
+                this.reached.add(this.reached.size);
+            }
+        } else {
+            this.targets.forEach((target, index) => {
+                if (target.test(triangle)) this.reached.add(index);
+            });
+        }
+    }
+
+    finish(now, status, message) {
+        this.status = status;
+        this.message = message;
+        this.endTime = now;
+        if (status === 'solved') {
+            this.scoreAttempt(now);
+        }
+    }
+
+    // 1000 points, less 50 for each move over par, plus 10 for each second
+    // left on the clock. Three stars at par, two within two moves of it.
+    scoreAttempt(now) {
+        const limits = this.level.moves || {};
+        const par = this.level.par || limits.exact || limits.max;
+        const over = par ? Math.max(0, this.moves - par) : 0;
+        const timeLeft = this.timeLeft(now) || 0;
+        
+        this.score = Math.max(100, Math.round(1000 - 50 * over + 10 * timeLeft));
+        this.stars = over === 0 ? 3 : (over <= 2 ? 2 : 1);
+    }
+
+    isForbidden(triangle) {
+        return this.forbidden.some(test => test(triangle));
+    }
+
+    // Whether the triangle is a target still to reach (for 'sequence',
+    // only the next one)
+    isPendingTarget(triangle) {
+        if (this.goal === 'sequence') {
+            const next = this.targets[this.reached.size];
+            return Boolean(next && next.test(triangle));
+        }
+        return this.targets.some((target, index) => !this.reached.has(index) && target.test(triangle));
+    }
+
+    // Target labels, with the ones reached marked
+    describeTargets() {
+        return this.targets.map((target, index) => ({
+            label: target.label,
+            reached: this.reached.has(index)
+        }));
+    }
+}
+
+// ============================================
+// EAR TRAINING - Quiz questions and statistics
+// ============================================
+
+// Asks the player to find a hidden chord on the grid ('find') or to follow
+// a hidden P, L or R move from where they stand ('transform'). Keeps
+// per-item statistics and asks more often about the items missed most.
+class EarTrainer {
+    constructor(tonnetz, random = Math.random) {
+        this.tonnetz = tonnetz;
+        this.random = random;
+        this.kinds = ['find', 'transform'];
+        this.operations = ['P', 'L', 'R'];
+        
+        // Stats per item ('find:0,4,7', 'transform:L') as
+        // { label, attempts, correct, totalTime }
+        this.stats = {};
+        this.question = null;
+    }
+
+    // Every distinct chord on the grid, with a triangle to name it by
+    getChords() {
+        const chords = new Map();
+        this.tonnetz.triangles.forEach((triangle) => {
+            const key = this.tonnetz.getChordKey(triangle.pitchClasses);
+            if (!chords.has(key)) chords.set(key, triangle);
+        });
+        return chords;
+    }
+
+    // How much more often to ask about an item: unseen items and ones
+    // often missed come up more
+    getWeight(item) {
+        const entry = this.stats[item];
+        if (!entry || entry.attempts === 0) return 2;
+        const errorRate = 1 - entry.correct / entry.attempts;
+        return 1 + 4 * errorRate;
+    }
+
+    // Pick from { item: value } with the item weights
+    pickWeighted(candidates) {
+        const items = Object.keys(candidates);
+        if (items.length === 0) return null;
+        const weights = items.map(item => this.getWeight(item));
+        let roll = this.random() * weights.reduce((sum, weight) => sum + weight, 0);
+        for (let i = 0; i < items.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return items[i];
+        }
+        return items[items.length - 1];
+    }
+
+    // Ask a new question. kind is 'find', 'transform' or 'mixed'; from is
+    // the triangle the sphere is on (needed for 'transform'). Returns
+    // { kind, item, target, from, operation, askedAt } or null.
+    ask(kind, from, now) {
+        if (kind === 'mixed') {
+            kind = from && this.random() < 0.5 ? 'transform' : 'find';
+        }
+        
+        const candidates = {};
+        if (kind === 'transform') {
+            if (!from) return null;
+            this.operations.forEach((operation) => {
+                const cell = this.tonnetz.transformCell(from.row, from.col, from.type, operation);
+                const target = cell && this.tonnetz.getTriangleAt(cell.row, cell.col, cell.type);
+                if (target) candidates[`transform:${operation}`] = { target, operation };
+            });
+        } else {
+            this.getChords().forEach((triangle, key) => {
+                // Don't ask for the chord already under the sphere
+                if (from && this.tonnetz.getChordKey(from.pitchClasses) === key) return;
+                candidates[`find:${key}`] = { target: triangle, operation: null };
+            });
+        }
+        
+        const item = this.pickWeighted(candidates);
+        if (!item) return null;
+        
+        this.question = {
+            kind,
+            item,
+            target: candidates[item].target,
+            from: kind === 'transform' ? from : null,
+            operation: candidates[item].operation,
+            askedAt: now
+        };
+        return this.question;
+    }
+
+    // Check an answer (the triangle the sphere is on). Any triangle with
+    // the same chord counts. Returns { correct, time, question }.
+    answer(triangle, now, label) {
+        const question = this.question;
+        if (!question) return null;
+        
+        const correct = Boolean(triangle) &&
+            this.tonnetz.getChordKey(triangle.pitchClasses) === this.tonnetz.getChordKey(question.target.pitchClasses);
+        const time = (now - question.askedAt) / 1000;
+        
+        const entry = this.stats[question.item] || { label, attempts: 0, correct: 0, totalTime: 0 };
+        entry.label = label;
+        entry.attempts++;
+        entry.totalTime += time;
+        if (correct) entry.correct++;
+        this.stats[question.item] = entry;
+        
+        this.question = null;
+        return { correct, time, question };
+    }
+
+    // Overall accuracy and reaction time, and the items with the lowest
+    // accuracy (at least one miss)
+    getSummary(limit = 3) {
+        let attempts = 0;
+        let correct = 0;
+        let totalTime = 0;
+        const weakest = [];
+        Object.keys(this.stats).forEach((item) => {
+            const entry = this.stats[item];
+            attempts += entry.attempts;
+            correct += entry.correct;
+            totalTime += entry.totalTime;
+            if (entry.correct < entry.attempts) {
+                weakest.push(entry);
+            }
+        });
+        weakest.sort((a, b) => a.correct / a.attempts - b.correct / b.attempts || b.attempts - a.attempts);
+        
+        return {
+            attempts,
+            correct,
+            accuracy: attempts ? correct / attempts : 0,
+            averageTime: attempts ? totalTime / attempts : 0,
+            weakest: weakest.slice(0, limit)
+        };
+    }
+
+    reset() {
+        this.stats = {};
+        this.question = null;
+    }
+}
+
+// ============================================
+// SESSIONS - Shareable links and session files
+// ============================================
+
+// A session is plain JSON; every field is optional when loading:
+//
+//   version     1
+//   grid        { width, height, wrap, intervals, dual }, intervals as
+//               [a, b, c] for the lattice T[a,b,c]
+//   movement    'free' or 'discrete'
+//   voicing     voicing strategy, e.g. 'closest'
+//   harmony     'triads' or 'rhombi'
+//   key         key name used for spelling ('Eb', 'F#m'), null to follow
+//   instrument  instrument preset name
+//   volume      0-100
+//   tuning      { mode, tonic, scale: { description, ratios, period } }
+//   path        chords visited, oldest first, as lattice cells { row, col, type }
+//   sequencer   { tempo, pattern, rate, swing, steps: [{ row, col, type, beats }] }
+//
+// In a link the same fields go in the URL hash as short key=value pairs,
+// with cells written row.col plus M (major) or m (minor), e.g.
+// #grid=12x8&inst=epiano&path=4.5M,4.5m&loop=4.5M*2,3.6m*2. Lattices other
+// than T[3,4,5] are written lattice=2.3.7. Scale pitches are written as
+// ratios (3/2) when they are simple fractions and in cents otherwise, so
+// a scale given in cents comes back to within 0.01 cent.
+const SESSION_VERSION = 1;
+
+function encodeCell(cell) {
+    return `${cell.row}.${cell.col}${cell.type === 'major' ? 'M' : 'm'}`;
+}
+
+function decodeCell(text) {
+    const match = /^(-?\d+)\.(-?\d+)([Mm])(?:\*(\d+(?:\.\d+)?))?$/.exec(text);
+    if (!match) {
+        throw new Error(`Bad lattice cell "${text}"`);
+    }
+    const cell = {
+        row: parseInt(match[1], 10),
+        col: parseInt(match[2], 10),
+        type: match[3] === 'M' ? 'major' : 'minor'
+    };
+    if (match[4]) {
+        cell.beats = parseFloat(match[4]);
+    }
+    return cell;
+}
+
+// A scale ratio as the simple fraction it is exactly ('3/2'), or as cents
+// rounded to 0.01
+function encodeScalePitch(ratio) {
+    // Continued fraction convergents, until one is the ratio itself
+    let [numerator, previousNumerator] = [1, 0];
+    let [denominator, previousDenominator] = [0, 1];
+    let rest = ratio;
+    for (let i = 0; i < 32; i++) {
+        const whole = Math.floor(rest);
+        [numerator, previousNumerator] = [whole * numerator + previousNumerator, numerator];
+        [denominator, previousDenominator] = [whole * denominator + previousDenominator, denominator];
+        if (denominator > 1000000) break;
+        if (numerator / denominator === ratio) return `${numerator}/${denominator}`;
+        if (rest === whole) break;
+        rest = 1 / (rest - whole);
+    }
+    return String(Math.round(1200 * Math.log2(ratio) * 100) / 100);
+}
+
+function decodeScalePitch(text) {
+    const fraction = /^(\d+)\/(\d+)$/.exec(text);
+    const ratio = fraction
+        ? parseInt(fraction[1], 10) / parseInt(fraction[2], 10)
+        : Math.pow(2, parseFloat(text) / 1200);
+    if (!(ratio > 0) || !isFinite(ratio)) {
+        throw new Error(`Bad scale pitch "${text}"`);
+    }
+    return ratio;
+}
+
+// Session -> URL hash (without the '#')
+export function encodeSessionHash(session) {
+    const fields = [];
+    const add = (key, value) => {
+        if (value !== undefined && value !== null && value !== '') {
+            fields.push(`${key}=${value}`);
+        }
+    };
+    const text = value => value === undefined || value === null ? null : encodeURIComponent(value);
+    
+    if (session.grid) {
+        add('grid', `${session.grid.width}x${session.grid.height}`);
+        add('wrap', session.grid.wrap ? 1 : null);
+        if (session.grid.intervals && String(session.grid.intervals) !== '3,4,5') {
+            add('lattice', session.grid.intervals.join('.'));
+        }
+        add('dual', session.grid.dual ? 1 : null);
+    }
+    add('move', text(session.movement));
+    add('voicing', text(session.voicing));
+    add('harmony', text(session.harmony));
+    add('key', text(session.key));
+    add('inst', text(session.instrument));
+    add('vol', session.volume);
+    
+    const tuning = session.tuning;
+    if (tuning) {
+        add('tuning', text(tuning.mode));
+        add('tonic', tuning.tonic);
+        if (tuning.scale) {
+            // Scale degrees after the first, then the period
+            const pitches = tuning.scale.ratios.slice(1).concat(tuning.scale.period);
+            add('scale', pitches.map(encodeScalePitch).join(','));
+            add('scalename', text(tuning.scale.description));
+        }
+    }
+    
+    if (session.path) {
+        add('path', session.path.map(encodeCell).join(','));
+    }
+    
+    const sequencer = session.sequencer;
+    if (sequencer) {
+        add('tempo', sequencer.tempo);
+        add('pattern', text(sequencer.pattern));
+        add('rate', sequencer.rate);
+        add('swing', sequencer.swing);
+        add('loop', sequencer.steps.map(step => `${encodeCell(step)}*${step.beats}`).join(','));
+    }
+    return fields.join('&');
+}
+
+// URL hash -> session, or null if the hash holds no session. Throws an
+// Error for a hash that can't be read.
+export function decodeSessionHash(hash) {
+    const fields = {};
+    hash.replace(/^#/, '').split('&').forEach((pair) => {
+        const split = pair.indexOf('=');
+        if (split > 0) {
+            fields[pair.slice(0, split)] = decodeURIComponent(pair.slice(split + 1));
+        }
+    });
+    if (Object.keys(fields).length === 0) return null;
+    
+    const number = (key) => {
+        if (fields[key] === undefined) return undefined;
+        const value = parseFloat(fields[key]);
+        if (!isFinite(value)) {
+            throw new Error(`Bad ${key} "${fields[key]}"`);
+        }
+        return value;
+    };
+    const cells = key => fields[key] ? fields[key].split(',').map(decodeCell) : undefined;
+    
+    const session = {
+        version: SESSION_VERSION,
+        movement: fields.move,
+        voicing: fields.voicing,
+        harmony: fields.harmony,
+        key: fields.key,
+        instrument: fields.inst,
+        volume: number('vol'),
+        path: cells('path')
+    };
+    
+    if (fields.grid) {
+        const match = /^(\d+)x(\d+)$/.exec(fields.grid);
+        if (!match) {
+            throw new Error(`Bad grid size "${fields.grid}"`);
+        }
+        session.grid = {
+            width: parseInt(match[1], 10),
+            height: parseInt(match[2], 10),
+            wrap: fields.wrap === '1',
+            intervals: fields.lattice ? fields.lattice.split('.').map(Number) : [3, 4, 5],
+            dual: fields.dual === '1'
+        };
+    }
+    
+    if (fields.tuning) {
+        session.tuning = { mode: fields.tuning, tonic: number('tonic'), scale: null };
+        if (fields.scale) {
+            const ratios = fields.scale.split(',').map(decodeScalePitch);
+            session.tuning.scale = {
+                description: fields.scalename || '',
+                ratios: [1, ...ratios.slice(0, -1)],
+                period: ratios[ratios.length - 1]
+            };
+        }
+    }
+    
+    if (fields.loop !== undefined) {
+        session.sequencer = {
+            tempo: number('tempo'),
+            pattern: fields.pattern,
+            rate: number('rate'),
+            swing: number('swing'),
+            steps: cells('loop') || []
+        };
+        session.sequencer.steps.forEach((step) => {
+            if (!(step.beats > 0)) {
+                throw new Error('Loop steps need a length, e.g. 4.5M*2');
+            }
+        });
+    }
+    return session;
+}
+
+// Check a session read from a file, throwing an Error that says what's wrong
+export function validateSession(session) {
+    if (!session || typeof session !== 'object' || Array.isArray(session)) {
+        throw new Error('Session must be an object');
+    }
+    if (session.version !== undefined && session.version > SESSION_VERSION) {
+        throw new Error(`Session version ${session.version} is newer than this game`);
+    }
+    if (session.grid && !(Number.isInteger(session.grid.width) && Number.isInteger(session.grid.height))) {
+        throw new Error('Grid needs a whole-number width and height');
+    }
+    if (session.grid && !(session.grid.width > 0 && session.grid.height > 0 &&
+            session.grid.width <= 64 && session.grid.height <= 64)) {
+        throw new Error('Grid must be between 1 and 64 cells each way');
+    }
+    const intervals = session.grid && session.grid.intervals;
+    if (intervals !== undefined && !(Array.isArray(intervals) && intervals.length === 3 &&
+            intervals.every(step => Number.isInteger(step) && step > 0) &&
+            intervals[0] + intervals[1] + intervals[2] === 12)) {
+        throw new Error(`Lattice T[${intervals}] needs three whole numbers of semitones adding up to 12`);
+    }
+    // Values the game would otherwise pass straight on, e.g. to the master
+    // gain (a link must not be able to play at painful volume)
+    const checkChoice = (value, choices, label) => {
+        if (value !== undefined && !choices.includes(value)) {
+            throw new Error(`${label} must be one of ${choices.join(', ')}`);
+        }
+    };
+    const checkRange = (value, min, max, label) => {
+        if (value !== undefined && !(typeof value === 'number' && value >= min && value <= max)) {
+            throw new Error(`${label} must be between ${min} and ${max}`);
+        }
+    };
+    checkChoice(session.movement, ['free', 'discrete'], 'Movement');
+    checkChoice(session.harmony, ['triads', 'rhombi'], 'Harmony');
+    checkRange(session.volume, 0, 100, 'Volume');
+    if (session.tuning) {
+        checkChoice(session.tuning.mode, ['equal', 'just', 'scale'], 'Tuning');
+        if (session.tuning.tonic !== undefined && !(Number.isInteger(session.tuning.tonic) &&
+                session.tuning.tonic >= 0 && session.tuning.tonic <= 11)) {
+            throw new Error('Tuning tonic must be a whole number from 0 to 11');
+        }
+        const scale = session.tuning.scale;
+        if (scale && !(Array.isArray(scale.ratios) && scale.ratios.length > 0 &&
+                scale.ratios.every(ratio => typeof ratio === 'number' && ratio > 0 && isFinite(ratio)) &&
+                typeof scale.period === 'number' && scale.period > 1 && isFinite(scale.period))) {
+            throw new Error('Tuning scale needs positive ratios and a period above 1');
+        }
+    }
+    if (session.sequencer) {
+        checkRange(session.sequencer.tempo, 30, 300, 'Tempo');
+        checkRange(session.sequencer.swing, 0, 0.5, 'Swing');
+    }
+    
+    const checkCells = (cells, label) => {
+        if (cells === undefined) return;
+        if (!Array.isArray(cells)) {
+            throw new Error(`${label} must be a list`);
+        }
+        cells.forEach((cell) => {
+            if (!Number.isInteger(cell.row) || !Number.isInteger(cell.col) || !['major', 'minor'].includes(cell.type)) {
+                throw new Error(`${label} has a bad lattice cell ${JSON.stringify(cell)}`);
+            }
+        });
+    };
+    checkCells(session.path, 'Path');
+    if (session.sequencer) {
+        checkCells(session.sequencer.steps, 'Loop');
+        (session.sequencer.steps || []).forEach((step) => {
+            if (!(step.beats > 0)) {
+                throw new Error('Loop steps need a length in beats');
+            }
+        });
+    }
+    return session;
+}
+
+// ============================================
+// INPUT - Actions from keyboard, gamepad and pointer
+// ============================================
+
+// Everything the player can do, in the order the controls panel lists it.
+// Move actions are held; the others fire when pressed (quality holds also
+// on release).
+const INPUT_ACTIONS = [
+    { id: 'moveUp', label: 'Move forward' },
+    { id: 'moveDown', label: 'Move back' },
+    { id: 'moveLeft', label: 'Move left' },
+    { id: 'moveRight', label: 'Move right' },
+    { id: 'transformP', label: 'PLR mode: P', operation: 'P' },
+    { id: 'transformL', label: 'PLR mode: L', operation: 'L' },
+    { id: 'transformR', label: 'PLR mode: R', operation: 'R' },
+    { id: 'transformN', label: 'PLR mode: N', operation: 'N' },
+    { id: 'transformS', label: 'PLR mode: S', operation: 'S' },
+    { id: 'transformH', label: 'PLR mode: H', operation: 'H' },
+    { id: 'holdTriad', label: 'Hold: triad', quality: 'triad' },
+    { id: 'holdDominant7', label: 'Hold: 7', quality: 'dominant7' },
+    { id: 'holdMajor7', label: 'Hold: maj7', quality: 'major7' },
+    { id: 'holdMinor7', label: 'Hold: m7', quality: 'minor7' },
+    { id: 'holdHalfDiminished7', label: 'Hold: m7b5', quality: 'halfDiminished7' },
+    { id: 'holdDiminished7', label: 'Hold: dim7', quality: 'diminished7' },
+    { id: 'holdAugmented', label: 'Hold: +', quality: 'augmented' },
+    { id: 'play', label: 'Play chord' },
+    { id: 'answer', label: 'Answer (ear training)' },
+    { id: 'mute', label: 'Mute' }
+];
+
+// Keys are KeyboardEvent.key in lower case; gamepad buttons are indices
+// in the standard mapping (0 A, 1 B, 2 X, 3 Y, 4/5 bumpers, 6/7
+// triggers, 8 back, 9 start, 12-15 d-pad)
+const DEFAULT_INPUT_BINDINGS = {
+    keyboard: {
+        moveUp: ['w', 'arrowup'],
+        moveDown: ['s', 'arrowdown'],
+        moveLeft: ['a', 'arrowleft'],
+        moveRight: ['d', 'arrowright'],
+        transformP: ['p'],
+        transformL: ['l'],
+        transformR: ['r'],
+        transformN: ['n'],
+        transformS: ['s'],
+        transformH: ['h'],
+        holdTriad: ['1'],
+        holdDominant7: ['2'],
+        holdMajor7: ['3'],
+        holdMinor7: ['4'],
+        holdHalfDiminished7: ['5'],
+        holdDiminished7: ['6'],
+        holdAugmented: ['7'],
+        play: ['enter'],
+        answer: [' '],
+        mute: ['m']
+    },
+    gamepad: {
+        moveUp: [12],
+        moveDown: [13],
+        moveLeft: [14],
+        moveRight: [15],
+        transformP: [2],
+        transformL: [3],
+        transformR: [1],
+        holdDominant7: [4],
+        holdMinor7: [5],
+        play: [9],
+        answer: [0],
+        mute: [8]
+    }
+};
+
+const GAMEPAD_BUTTON_NAMES = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'
+];
+
+// Turns key presses, gamepad buttons and the left stick into actions.
+// Listeners get { type: 'press' | 'release', action }; the game reads the
+// held move actions and the stick each frame through getMoveVector.
+class InputSystem {
+    // settings: { bindings, deadzone } as saved from getSettings
+    constructor(settings = {}) {
+        this.bindings = this.copyBindings(DEFAULT_INPUT_BINDINGS);
+        if (settings.bindings) {
+            ['keyboard', 'gamepad'].forEach((device) => {
+                Object.assign(this.bindings[device], settings.bindings[device]);
+            });
+        }
+        this.deadzone = settings.deadzone !== undefined ? settings.deadzone : 0.2;
+        
+        this.listeners = [];
+        this.held = {};            // action -> number of bound keys/buttons down
+        this.keysDown = new Set();
+        this.buttonsDown = new Set();
+        this.stick = { x: 0, z: 0 };
+        
+        // While set, the next gamepad button goes here instead of to an
+        // action (for rebinding)
+        this.onCapture = null;
+    }
+
+    copyBindings(bindings) {
+        return JSON.parse(JSON.stringify(bindings));
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit(event) {
+        this.listeners.forEach(listener => listener(event));
+    }
+
+    // Actions a key or button is bound to
+    actionsFor(device, input) {
+        return INPUT_ACTIONS
+            .filter(action => (this.bindings[device][action.id] || []).includes(input))
+            .map(action => action.id);
+    }
+
+    press(device, input) {
+        this.actionsFor(device, input).forEach((action) => {
+            this.held[action] = (this.held[action] || 0) + 1;
+            if (this.held[action] === 1) {
+                this.emit({ type: 'press', action });
+            }
+        });
+    }
+
+    release(device, input) {
+        this.actionsFor(device, input).forEach((action) => {
+            if (!this.held[action]) return;
+            this.held[action]--;
+            if (this.held[action] === 0) {
+                this.emit({ type: 'release', action });
+            }
+        });
+    }
+
+    // Returns true if the key is bound to anything
+    handleKeyDown(key) {
+        if (!this.keysDown.has(key)) {
+            this.keysDown.add(key);
+            this.press('keyboard', key);
+        }
+        return this.actionsFor('keyboard', key).length > 0;
+    }
+
+    handleKeyUp(key) {
+        if (this.keysDown.delete(key)) {
+            this.release('keyboard', key);
+        }
+    }
+
+    // Let go of every key (e.g. when the page loses focus)
+    releaseKeys() {
+        this.keysDown.forEach(key => this.release('keyboard', key));
+        this.keysDown.clear();
+    }
+
+    isHeld(action) {
+        return this.held[action] > 0;
+    }
+
+    // Read the first connected gamepad; call once a frame
+    pollGamepads() {
+        const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        const pad = pads.find(candidate => candidate && candidate.connected);
+        if (!pad) {
+            this.buttonsDown.forEach(button => this.release('gamepad', button));
+            this.buttonsDown.clear();
+            this.stick = { x: 0, z: 0 };
+            return;
+        }
+        
+        pad.buttons.forEach((button, index) => {
+            const pressed = button.pressed;
+            if (pressed && !this.buttonsDown.has(index)) {
+                this.buttonsDown.add(index);
+                if (this.onCapture) {
+                    const capture = this.onCapture;
+                    this.onCapture = null;
+                    capture(index);
+                } else {
+                    this.press('gamepad', index);
+                }
+            } else if (!pressed && this.buttonsDown.has(index)) {
+                this.buttonsDown.delete(index);
+                this.release('gamepad', index);
+            }
+        });
+        
+        // Left stick with a radial deadzone, rescaled so movement starts
+        // from zero at its edge
+        const x = pad.axes[0] || 0;
+        const z = pad.axes[1] || 0;
+        const length = Math.sqrt(x * x + z * z);
+        if (length <= this.deadzone) {
+            this.stick = { x: 0, z: 0 };
+        } else {
+            const scale = Math.min(1, (length - this.deadzone) / (1 - this.deadzone)) / length;
+            this.stick = { x: x * scale, z: z * scale };
+        }
+    }
+
+    // Name of the first connected gamepad, or null
+    getGamepadName() {
+        const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        const pad = pads.find(candidate => candidate && candidate.connected);
+        return pad ? pad.id : null;
+    }
+
+    // Movement from the held move actions and the stick, each axis -1 to 1
+    getMoveVector() {
+        const clamp = value => Math.max(-1, Math.min(1, value));
+        return {
+            x: clamp((this.isHeld('moveRight') ? 1 : 0) - (this.isHeld('moveLeft') ? 1 : 0) + this.stick.x),
+            z: clamp((this.isHeld('moveDown') ? 1 : 0) - (this.isHeld('moveUp') ? 1 : 0) + this.stick.z)
+        };
+    }
+
+    // Bind slot n of an action to a key or button; null clears it
+    setBinding(device, action, slot, input) {
+        // Let go of the old binding first so nothing stays held
+        this.releaseKeys();
+        const inputs = (this.bindings[device][action] || []).slice();
+        inputs[slot] = input;
+        this.bindings[device][action] = inputs.filter(value => value !== null && value !== undefined);
+    }
+
+    resetBindings() {
+        this.releaseKeys();
+        this.bindings = this.copyBindings(DEFAULT_INPUT_BINDINGS);
+    }
+
+    setDeadzone(deadzone) {
+        this.deadzone = Math.max(0, Math.min(0.9, deadzone));
+    }
+
+    // What to save so the bindings persist
+    getSettings() {
+        return { bindings: this.copyBindings(this.bindings), deadzone: this.deadzone };
+    }
+
+    // How a binding is shown, e.g. 'W', '↑', 'Space', 'LB'
+    describe(device, input) {
+        if (input === undefined || input === null) return '—';
+        if (device === 'gamepad') {
+            return GAMEPAD_BUTTON_NAMES[input] || `Button ${input}`;
+        }
+        const names = { ' ': 'Space', arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→', enter: 'Enter', escape: 'Esc' };
+        return names[input] || (input.length === 1 ? input.toUpperCase() : input.charAt(0).toUpperCase() + input.slice(1));
+    }
+}
+
+// ============================================
+// JAM - Shared lattice over a WebSocket relay
+// ============================================
+
+// Colours offered to jam players, one picked at random on a first visit
+const JAM_COLORS = [0xff6b6b, 0x4ecdc4, 0xffd166, 0xa855f7, 0x22c55e, 0xf97316, 0x3b82f6, 0xec4899];
+
+// One player's link to a room on the relay (server/relay-server.js).
+// Sends the local position and chord, and keeps the other players' chords
+// and recently received positions. Listeners get
+//   { type: 'status', status, message }  status 'connecting', 'open' or 'closed'
+//   { type: 'join' | 'leave' | 'chord', player }
+// where player is { id, name, color, chord, snapshots } and chord is
+// { name, pitchClasses, notes } or null.
+class JamClient {
+    constructor() {
+        this.socket = null;
+        this.status = 'closed';
+        this.room = null;
+        this.id = null;
+        this.players = new Map();
+        this.listeners = [];
+        this.closeMessage = null;
+        
+        // Positions go out at most this often; chord changes go at once
+        this.sendInterval = 66;           // ms
+        this.lastSent = 0;
+        this.lastState = null;            // JSON of the last state sent
+        this.lastChord = null;
+        
+        // Other players are drawn this far in the past, between two
+        // positions they sent, so they move smoothly between updates
+        this.interpolationDelay = 120;    // ms
+        this.maxSnapshots = 20;
+        this.jumpDistance = 4;            // Further than this in one update is a wrap
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit(event) {
+        this.listeners.forEach(listener => listener(event));
+    }
+
+    setStatus(status, message = null) {
+        this.status = status;
+        this.emit({ type: 'status', status, message });
+    }
+
+    // Join a room; url is the relay's ws:// or wss:// address
+    connect(url, room, name, color) {
+        this.disconnect();
+        this.closeMessage = null;
+        this.setStatus('connecting');
+        
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            this.setStatus('closed', `Couldn't connect: ${error.message}`);
+            return;
+        }
+        this.socket = socket;
+        socket.onopen = () => {
+            socket.send(JSON.stringify({ type: 'join', room, name, color }));
+        };
+        socket.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            this.handleMessage(message);
+        };
+        // An error is followed by close in browsers, but not everywhere
+        const finish = () => {
+            // A socket already finished or replaced by a later connect
+            if (this.socket !== socket) return;
+            const wasOpen = this.status === 'open';
+            this.socket = null;
+            this.clearPlayers();
+            this.setStatus('closed', this.closeMessage ||
+                (wasOpen ? 'Lost the connection to the relay' : `Couldn't reach the relay at ${url}`));
+        };
+        socket.onerror = finish;
+        socket.onclose = finish;
+    }
+
+    disconnect() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        this.socket = null;
+        socket.close();
+        this.clearPlayers();
+        this.setStatus('closed');
+    }
+
+    clearPlayers() {
+        const players = Array.from(this.players.values());
+        this.players.clear();
+        players.forEach(player => this.emit({ type: 'leave', player }));
+        this.id = null;
+        this.room = null;
+    }
+
+    handleMessage(message) {
+        const now = performance.now();
+        switch (message.type) {
+            case 'welcome':
+                this.id = message.id;
+                this.room = message.room;
+                this.lastState = null;
+                this.setStatus('open');
+                // Players already in the room, where they last were
+                message.players.forEach(player => this.addPlayer(player, now));
+                break;
+            case 'join':
+                this.addPlayer(message.player, now);
+                break;
+            case 'state': {
+                const player = this.players.get(message.id);
+                if (player) {
+                    this.applyState(player, message.state, now);
+                }
+                break;
+            }
+            case 'leave': {
+                const player = this.players.get(message.id);
+                if (player) {
+                    this.players.delete(message.id);
+                    this.emit({ type: 'leave', player });
+                }
+                break;
+            }
+            case 'error':
+                this.closeMessage = message.message;
+                break;
+        }
+    }
+
+    addPlayer({ id, name, color, state }, now) {
+        const player = { id, name, color, chord: null, snapshots: [] };
+        this.players.set(id, player);
+        this.emit({ type: 'join', player });
+        if (state) {
+            this.applyState(player, state, now);
+        }
+    }
+
+    // state: { x, z, chord } as sent by sendState
+    applyState(player, state, now) {
+        if (!state || typeof state !== 'object') return;
+        if (Number.isFinite(state.x) && Number.isFinite(state.z)) {
+            player.snapshots.push({ time: now, x: state.x, z: state.z });
+            if (player.snapshots.length > this.maxSnapshots) {
+                player.snapshots.shift();
+            }
+        }
+        
+        const chord = this.readChord(state.chord);
+        if (JSON.stringify(chord) !== JSON.stringify(player.chord)) {
+            player.chord = chord;
+            this.emit({ type: 'chord', player });
+        }
+    }
+
+    // A chord from another player, or null if missing or malformed
+    readChord(chord) {
+        if (!chord || typeof chord !== 'object') return null;
+        const isNoteList = (list, high) => Array.isArray(list) && list.length > 0 && list.length <= 8 &&
+            list.every(n => Number.isInteger(n) && n >= 0 && n < high);
+        if (!isNoteList(chord.pitchClasses, 12) || !isNoteList(chord.notes, 128)) return null;
+        return {
+            name: String(chord.name || '').slice(0, 12),
+            pitchClasses: chord.pitchClasses.slice(),
+            notes: chord.notes.slice()
+        };
+    }
+
+    // Send the local player's { x, z, chord }; call every frame, only
+    // changes go out
+    sendState(state, now) {
+        if (this.status !== 'open') return;
+        const json = JSON.stringify(state);
+        if (json === this.lastState) return;
+        
+        const chord = JSON.stringify(state.chord);
+        if (chord === this.lastChord && now - this.lastSent < this.sendInterval) return;
+        
+        this.socket.send(JSON.stringify({ type: 'state', state }));
+        this.lastState = json;
+        this.lastChord = chord;
+        this.lastSent = now;
+    }
+
+    // Where to draw a player at time now, or null before they've sent a
+    // position
+    getPosition(player, now) {
+        const snapshots = player.snapshots;
+        if (snapshots.length === 0) return null;
+        
+        const time = now - this.interpolationDelay;
+        let index = snapshots.findIndex(snapshot => snapshot.time > time);
+        if (index === -1) {
+            // Nothing newer: hold the last position
+            const last = snapshots[snapshots.length - 1];
+            return { x: last.x, z: last.z };
+        }
+        if (index === 0) {
+            return { x: snapshots[0].x, z: snapshots[0].z };
+        }
+        
+        const from = snapshots[index - 1];
+        const to = snapshots[index];
+        if (Math.hypot(to.x - from.x, to.z - from.z) > this.jumpDistance) {
+            return { x: from.x, z: from.z };
+        }
+        const t = (time - from.time) / (to.time - from.time);
+        return { x: from.x + (to.x - from.x) * t, z: from.z + (to.z - from.z) * t };
+    }
+}
+
+// ============================================
+// GRID RENDERING - Merged lattice meshes and label atlas
+// ============================================
+
+// Draws the lattice in three draw calls however big it is: one mesh for all
+// triangles (colours per vertex), one line set for all edges and one mesh of
+// label quads textured from a shared atlas. In wrap mode each triangle and
+// label is drawn once per copy, and every image is moved to the copy
+// closest to the player when the view is retiled. On the chicken-wire
+// graph each triangle is drawn as a hexagonal node at its center instead,
+// with half an edge out to each of its sides.
+export class GridRenderer {
+    // colors: { major, minor, ground } to replace the default fills
+    constructor(scene, tonnetz, camera, colors = {}) {
+        this.scene = scene;
+        this.tonnetz = tonnetz;
+        this.camera = camera;
+        
+        // Cyan for major, purple for minor
+        this.triangleColors = {
+            major: colors.major !== undefined ? new THREE.Color(colors.major) : new THREE.Color().setHSL(0.55, 0.7, 0.3),
+            minor: colors.minor !== undefined ? new THREE.Color(colors.minor) : new THREE.Color().setHSL(0.75, 0.7, 0.3)
+        };
+        
+        // Triangles are drawn opaque, pre-blended with the ground colour as
+        // if they were 70% transparent; highlighted ones are drawn solid
+        // with half the highlight colour added as a glow
+        this.groundColor = new THREE.Color(colors.ground !== undefined ? colors.ground : 0x16213e);
+        this.opacity = 0.7;
+        this.glow = 0.5;
+        
+        // Chicken-wire nodes: corner distance from the center, in triangle
+        // sizes (the triangle's inner circle is 0.29)
+        this.nodeRadius = 0.25;
+        
+        this.triangleMaterial = new THREE.MeshStandardMaterial({
+            vertexColors: true,
+            roughness: 0.6,
+            metalness: 0.3,
+            side: THREE.DoubleSide
+        });
+        this.edgeMaterial = new THREE.LineBasicMaterial({
+            color: 0xffffff,
+            opacity: 0.3,
+            transparent: true
+        });
+        
+        // Label atlas: a grid of cells, one per label text, drawn on demand
+        this.labelSize = { width: 1.5, height: 0.75 };
+        this.atlasCell = { width: 128, height: 64 };
+        this.atlasColumns = 8;
+        this.atlasRows = 8;
+        this.glyphs = new Map();   // text -> cell index
+        this.atlasCanvas = document.createElement('canvas');
+        this.atlasCanvas.width = this.atlasCell.width * this.atlasColumns;
+        this.atlasCanvas.height = this.atlasCell.height * this.atlasRows;
+        this.atlasTexture = new THREE.CanvasTexture(this.atlasCanvas);
+        this.atlasTexture.minFilter = THREE.LinearFilter;
+        this.atlasTexture.generateMipmaps = false;
+        this.labelMaterial = new THREE.MeshBasicMaterial({
+            map: this.atlasTexture,
+            transparent: true,
+            depthTest: false
+        });
+        // Every note name the speller uses for lattice labels
+        'FCGDAEB'.split('').forEach((letter) => {
+            ['', '#', 'b', 'x', 'bb'].forEach(accidental => this.getGlyph(letter + accidental));
+        });
+        
+        this.triangleMesh = null;
+        this.edgeLines = null;
+        this.labelMesh = null;
+        this.images = [];          // { triangle, base, anchor } per drawn triangle
+        this.imageVertices = 3;    // Mesh vertices per image: 3, or 12 for a node
+        this.labels = [];          // { x, z, fifths, base, anchor } per drawn label
+        this.tiling = null;
+        
+        // Per-triangle colour state
+        this.tints = new Map();       // triangle index -> hex
+        this.highlights = new Map();  // triangle index -> hex
+    }
+
+    // Create the meshes. tiling is the wrap tiling from
+    // TonnetzSystem.getWrapTiling, or null for a single copy.
+    build(tiling) {
+        this.dispose();
+        this.tiling = tiling;
+        const copies = tiling ? tiling.offsets : [{ x: 0, z: 0 }];
+        
+        this.images = [];
+        copies.forEach((offset) => {
+            this.tonnetz.triangles.forEach((triangle) => {
+                this.images.push({
+                    triangle,
+                    base: offset,
+                    anchor: { x: triangle.center.x + offset.x, z: triangle.center.z + offset.z },
+                    offset: { x: offset.x, z: offset.z }
+                });
+            });
+        });
+        
+        // One label per lattice vertex; in wrap mode vertices on opposite
+        // borders are the same point of the torus and get one label
+        const vertices = new Map();
+        this.tonnetz.triangles.forEach((triangle) => {
+            triangle.vertices.forEach((vertex) => {
+                const coords = this.tonnetz.wrap
+                    ? this.tonnetz.wrapLatticeCoords(vertex.row, vertex.col)
+                    : { row: vertex.row, col: vertex.col };
+                const key = `${coords.row},${coords.col}`;
+                if (!vertices.has(key)) {
+                    vertices.set(key, {
+                        x: vertex.x,
+                        z: vertex.z,
+                        fifths: this.tonnetz.grid[vertex.row][vertex.col].fifths
+                    });
+                }
+            });
+        });
+        this.labels = [];
+        copies.forEach((offset) => {
+            vertices.forEach((vertex) => {
+                this.labels.push({
+                    x: vertex.x,
+                    z: vertex.z,
+                    fifths: vertex.fifths,
+                    base: offset,
+                    anchor: { x: vertex.x + offset.x, z: vertex.z + offset.z },
+                    offset: { x: offset.x, z: offset.z }
+                });
+            });
+        });
+        
+        // Triangles: three vertices per image (a hexagon's four triangles
+        // for nodes), normals straight up
+        this.imageVertices = this.tonnetz.dual ? 12 : 3;
+        const triangleGeometry = new THREE.BufferGeometry();
+        const count = this.images.length * this.imageVertices;
+        triangleGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        triangleGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        const normals = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            normals[i * 3 + 1] = 1;
+        }
+        triangleGeometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        this.triangleMesh = new THREE.Mesh(triangleGeometry, this.triangleMaterial);
+        
+        // Edges: the three sides of every image, or for nodes the three half
+        // edges to its neighbours
+        const edgeGeometry = new THREE.BufferGeometry();
+        edgeGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.images.length * 18), 3));
+        this.edgeLines = new THREE.LineSegments(edgeGeometry, this.edgeMaterial);
+        
+        // Labels: a quad per label, two triangles each
+        const labelGeometry = new THREE.BufferGeometry();
+        labelGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.labels.length * 12), 3));
+        labelGeometry.setAttribute('uv', new THREE.BufferAttribute(new Float32Array(this.labels.length * 8), 2));
+        const indices = [];
+        for (let i = 0; i < this.labels.length; i++) {
+            const v = i * 4;
+            indices.push(v, v + 1, v + 2, v, v + 2, v + 3);
+        }
+        labelGeometry.setIndex(indices);
+        this.labelMesh = new THREE.Mesh(labelGeometry, this.labelMaterial);
+        this.labelMesh.renderOrder = 10;
+        
+        // The geometry moves when retiling, so skip bounds-based culling
+        [this.triangleMesh, this.edgeLines, this.labelMesh].forEach((object) => {
+            object.frustumCulled = false;
+            this.scene.add(object);
+        });
+        
+        this.highlights.clear();
+        this.writePositions();
+        this.writeColors();
+    }
+
+    // Remove the meshes (materials and the atlas are kept for the next
+    // build; see destroy)
+    dispose() {
+        [this.triangleMesh, this.edgeLines, this.labelMesh].forEach((object) => {
+            if (!object) return;
+            this.scene.remove(object);
+            object.geometry.dispose();
+        });
+        this.triangleMesh = null;
+        this.edgeLines = null;
+        this.labelMesh = null;
+    }
+
+    // Remove the meshes and free everything they use
+    destroy() {
+        this.dispose();
+        [this.triangleMaterial, this.edgeMaterial, this.labelMaterial, this.atlasTexture].forEach((resource) => {
+            resource.dispose();
+        });
+    }
+
+    // Move every image to its copy closest to focus (wrap mode only)
+    updateTiling(focus) {
+        if (!this.tiling) return;
+        
+        const [u, v] = this.tiling.basis;
+        const det = u.x * v.z - u.z * v.x;
+        const place = (image) => {
+            const dx = focus.x - image.anchor.x;
+            const dz = focus.z - image.anchor.z;
+            // Express the distance to the focus in basis vectors and round to
+            // the nearest whole repeat
+            const a = Math.round((dx * v.z - dz * v.x) / det);
+            const b = Math.round((u.x * dz - u.z * dx) / det);
+            image.offset.x = image.base.x + a * u.x + b * v.x;
+            image.offset.z = image.base.z + a * u.z + b * v.z;
+        };
+        this.images.forEach(place);
+        this.labels.forEach(place);
+        this.writePositions();
+    }
+
+    writePositions() {
+        const positions = this.triangleMesh.geometry.attributes.position;
+        const edges = this.edgeLines.geometry.attributes.position;
+        this.images.forEach((image, i) => {
+            const corners = image.triangle.vertices;
+            if (this.tonnetz.dual) {
+                this.writeNode(positions, edges, image, i);
+                return;
+            }
+            for (let k = 0; k < 3; k++) {
+                const corner = corners[k];
+                const next = corners[(k + 1) % 3];
+                positions.setXYZ(i * 3 + k, corner.x + image.offset.x, 0.01, corner.z + image.offset.z);
+                edges.setXYZ(i * 6 + k * 2, corner.x + image.offset.x, 0.02, corner.z + image.offset.z);
+                edges.setXYZ(i * 6 + k * 2 + 1, next.x + image.offset.x, 0.02, next.z + image.offset.z);
+            }
+        });
+        positions.needsUpdate = true;
+        edges.needsUpdate = true;
+        
+        // Labels face the camera, which never rotates, so the quads are
+        // laid out along its right and up directions
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion);
+        const up = new THREE.Vector3(0, 1, 0).applyQuaternion(this.camera.quaternion);
+        const halfWidth = this.labelSize.width / 2;
+        const halfHeight = this.labelSize.height / 2;
+        const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+        const labelPositions = this.labelMesh.geometry.attributes.position;
+        this.labels.forEach((label, i) => {
+            const x = label.x + label.offset.x;
+            const z = label.z + label.offset.z;
+            corners.forEach(([sx, sy], k) => {
+                labelPositions.setXYZ(
+                    i * 4 + k,
+                    x + right.x * sx * halfWidth + up.x * sy * halfHeight,
+                    1.5 + right.y * sx * halfWidth + up.y * sy * halfHeight,
+                    z + right.z * sx * halfWidth + up.z * sy * halfHeight
+                );
+            });
+        });
+        labelPositions.needsUpdate = true;
+    }
+
+    // A chicken-wire node: a hexagon at the triangle's center, and a line
+    // from there to the middle of each side, where it meets the
+    // neighbour's line
+    writeNode(positions, edges, image, i) {
+        const center = image.triangle.center;
+        const x = center.x + image.offset.x;
+        const z = center.z + image.offset.z;
+        const radius = this.nodeRadius * this.tonnetz.triangleSize;
+        const hexagon = [];
+        for (let k = 0; k < 6; k++) {
+            const angle = k * Math.PI / 3;
+            hexagon.push({ x: x + radius * Math.cos(angle), z: z + radius * Math.sin(angle) });
+        }
+        for (let k = 0; k < 4; k++) {
+            [hexagon[0], hexagon[k + 1], hexagon[k + 2]].forEach((corner, j) => {
+                positions.setXYZ(i * 12 + k * 3 + j, corner.x, 0.01, corner.z);
+            });
+        }
+        
+        const corners = image.triangle.vertices;
+        for (let k = 0; k < 3; k++) {
+            const next = corners[(k + 1) % 3];
+            edges.setXYZ(i * 6 + k * 2, x, 0.02, z);
+            edges.setXYZ(i * 6 + k * 2 + 1,
+                (corners[k].x + next.x) / 2 + image.offset.x, 0.02, (corners[k].z + next.z) / 2 + image.offset.z);
+        }
+    }
+
+    // Colour of a triangle from its tint (or quality colour) and highlight
+    getTriangleColor(triangle) {
+        const color = this.tints.has(triangle.index)
+            ? new THREE.Color(this.tints.get(triangle.index))
+            : this.triangleColors[triangle.type].clone();
+        
+        if (this.highlights.has(triangle.index)) {
+            return color.add(new THREE.Color(this.highlights.get(triangle.index)).multiplyScalar(this.glow));
+        }
+        return color.lerp(this.groundColor, 1 - this.opacity);
+    }
+
+    writeColors(indices) {
+        const colors = this.triangleMesh.geometry.attributes.color;
+        const triangleCount = this.tonnetz.triangles.length;
+        const update = (imageIndex, color) => {
+            for (let k = 0; k < this.imageVertices; k++) {
+                colors.setXYZ(imageIndex * this.imageVertices + k, color.r, color.g, color.b);
+            }
+        };
+        
+        if (indices) {
+            // Only the given triangles, in every copy
+            indices.forEach((index) => {
+                const color = this.getTriangleColor(this.tonnetz.triangles[index]);
+                for (let i = index; i < this.images.length; i += triangleCount) {
+                    update(i, color);
+                }
+            });
+        } else {
+            this.images.forEach((image, i) => update(i, this.getTriangleColor(image.triangle)));
+        }
+        colors.needsUpdate = true;
+    }
+
+    // Light a triangle in the given colour, or clear it with null
+    setHighlight(triangle, color) {
+        if (color === null) {
+            this.highlights.delete(triangle.index);
+        } else {
+            this.highlights.set(triangle.index, color);
+        }
+        this.writeColors([triangle.index]);
+    }
+
+    // Recolour a triangle (e.g. a puzzle target), or restore it with null
+    setTint(triangle, color) {
+        if (color === null) {
+            if (!this.tints.has(triangle.index)) return;
+            this.tints.delete(triangle.index);
+        } else {
+            if (this.tints.get(triangle.index) === color) return;
+            this.tints.set(triangle.index, color);
+        }
+        this.writeColors([triangle.index]);
+    }
+
+    // Set every label's text: name(fifths) gives the text for a vertex
+    updateLabels(name) {
+        const uvs = this.labelMesh.geometry.attributes.uv;
+        this.labels.forEach((label, i) => {
+            const cell = this.getGlyph(name(label.fifths));
+            const u0 = (cell % this.atlasColumns) / this.atlasColumns;
+            const u1 = u0 + 1 / this.atlasColumns;
+            // Canvas rows run downwards, texture v upwards
+            const v1 = 1 - Math.floor(cell / this.atlasColumns) / this.atlasRows;
+            const v0 = v1 - 1 / this.atlasRows;
+            uvs.setXY(i * 4, u0, v0);
+            uvs.setXY(i * 4 + 1, u1, v0);
+            uvs.setXY(i * 4 + 2, u1, v1);
+            uvs.setXY(i * 4 + 3, u0, v1);
+        });
+        uvs.needsUpdate = true;
+    }
+
+    // Atlas cell holding a label's text, drawing it the first time
+    getGlyph(text) {
+        if (this.glyphs.has(text)) return this.glyphs.get(text);
+        
+        const cell = this.glyphs.size;
+        if (cell >= this.atlasColumns * this.atlasRows) {
+            // Atlas full: reuse the first cell rather than grow the texture
+            return 0;
+        }
+        this.glyphs.set(text, cell);
+        
+        const { width, height } = this.atlasCell;
+        const left = (cell % this.atlasColumns) * width;
+        const top = Math.floor(cell / this.atlasColumns) * height;
+        const context = this.atlasCanvas.getContext('2d');
+        
+        // Draw rounded background
+        context.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        context.beginPath();
+        context.roundRect(left + 4, top + 4, width - 8, height - 8, 10);
+        context.fill();
+        
+        // Text with a shadow for better readability
+        context.font = 'bold 36px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillStyle = '#000000';
+        context.fillText(text, left + width / 2 + 2, top + height / 2 + 2);
+        context.fillStyle = '#ffffff';
+        context.fillText(text, left + width / 2, top + height / 2);
+        
+        this.atlasTexture.needsUpdate = true;
+        return cell;
+    }
+}
+
+// ============================================
+// GAME CLASS - Main game logic
+// ============================================
+
+export class TonnetzGame {
+    // container: element to draw in. options (all optional):
+    //   width, height  grid size in lattice cells (12 × 8)
+    //   start          chord to start on, e.g. 'Am'
+    //   colors         { background, ground, player, triangles: { major, minor },
+    //                    highlights: { major, minor, dominant7, ... } }
+    //   instrument     instrument preset name, e.g. 'epiano'
+    //   controls       { keyboard, touch, gamepad }: input to accept (all on;
+    //                  touch covers the mouse too)
+    //   intervals      [a, b, c] for the lattice T[a,b,c] ([3, 4, 5])
+    //   dual           start on the chicken-wire dual (see setLattice)
+    //   pad            start in pad mode (see setPadMode)
+    //   wrap           start in wrap mode
+    //   movement       'free' or 'discrete'
+    //   tuning         'equal' or 'just'
+    //   session        saved session to open (see SESSIONS); its grid size
+    //                  applies unless width and height are given
+    //   jam            { url, room, name, color, mode }: join a jam room on
+    //                  the relay (see joinJam)
+    //   ui             wire up the page's panels and displays (index.html)
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = options;
+        this.ui = Boolean(options.ui);
+        this.colors = options.colors || {};
+        this.controls = Object.assign({ keyboard: true, touch: true, gamepad: true }, options.controls);
+        this.chordDisplay = this.ui ? document.querySelector('#chord-display .chord-name') : null;
+        this.notesDisplay = this.ui ? document.querySelector('#chord-display .notes') : null;
+        this.numeralDisplay = this.ui ? document.querySelector('#chord-display .chord-numeral') : null;
+        this.functionDisplay = this.ui ? document.querySelector('#chord-display .chord-function') : null;
+        this.relationsDisplay = this.ui ? document.querySelector('#chord-display .chord-relations') : null;
+        
+        // Page events registered by this game (removed by destroy) and
+        // listeners for the game's own events, by type
+        this.domListeners = [];
+        this.eventHandlers = {};
+        this.frameId = null;
+        this.sessionTimer = null;
+        
+        // Initialize systems
+        this.audioSystem = new AudioSystem();
+        if (options.instrument) {
+            this.audioSystem.setInstrument(options.instrument);
+        }
+        
+        // Lattice, chords and movement live in the headless engine; this
+        // class draws them and plays them through the audio system
+        const sessionGrid = (options.session && options.session.grid) || {};
+        this.engine = new TonnetzEngine({
+            width: options.width || sessionGrid.width,
+            height: options.height || sessionGrid.height,
+            intervals: options.intervals || sessionGrid.intervals
+        });
+        this.engine.addListener(event => this.handleEngineEvent(event));
+        this.tonnetz = this.engine.tonnetz;
+        this.speller = this.engine.speller;
+        
+        // Record every chord played, for MIDI export
+        this.recorder = new ChordRecorder();
+        this.audioSystem.addListener(event => this.recorder.handleEvent(event));
+        this.renderingAudio = false;
+        
+        // Web MIDI: chords go out to a synth, triads played on a keyboard
+        // move the sphere
+        this.midi = new MidiBridge();
+        this.audioSystem.addListener(event => this.midi.handleAudioEvent(event));
+        this.midi.onTriad = (pitchClasses) => this.engine.moveToChord(pitchClasses);
+        this.midi.onPortsChanged = () => this.updateMidiPorts();
+        
+        // Progression looper: while its panel is open, clicking triangles
+        // adds steps to the loop
+        this.sequencer = new ProgressionSequencer(this.audioSystem);
+        this.sequencer.tuning = this.engine.tuning;
+        this.sequencer.onStep = (index) => this.showSequencerStep(index);
+        this.stepLengths = [1, 2, 4];
+        this.newStepBeats = 2;
+        this.sequenceColor = 0xffd166;
+        this.sequencePath = null;
+        this.sequencePathMaterial = new THREE.LineBasicMaterial({ color: this.sequenceColor });
+        this.pathAnimation = null;
+        this.pathSegmentTime = 400;       // ms to draw each step of an imported progression
+        
+        // Puzzle mode: the level being played (a PuzzleSession), levels
+        // loaded from files, and the best result per level id
+        this.puzzle = null;
+        this.customLevels = [];
+        this.puzzleProgressKey = 'tonnetz-puzzle-progress';
+        this.puzzleProgress = this.loadStored(this.puzzleProgressKey, {});
+        this.puzzleColors = { target: 0xc9a227, forbidden: 0x5c1f2b };
+        
+        // The chosen key's chords are shaded towards the colour of their
+        // function, and the HUD names the chord's function in it
+        this.functionColors = { tonic: 0xf4d35e, subdominant: 0x3fa34d, dominant: 0xee6c4d };
+        this.keyShade = 0.45;
+        
+        // Ear training: a hidden chord or move is played and the player
+        // answers by rolling onto the right triangle
+        this.trainer = new EarTrainer(this.tonnetz);
+        this.trainerStatsKey = 'tonnetz-ear-training';
+        this.trainer.stats = this.loadStored(this.trainerStatsKey, {});
+        this.trainingKind = null;        // 'find', 'transform', 'mixed'; null when off
+        this.trainingVoicing = new VoicingEngine();
+        this.nextQuestionTimer = null;
+        
+        // Three.js components
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        
+        // Player sphere (its position is the engine's)
+        this.player = null;
+        this.playerRadius = 0.5;
+        
+        // Input state
+        // Keyboard and gamepad input as actions, with the bindings and
+        // stick deadzone saved between visits
+        this.inputSettingsKey = 'tonnetz-input';
+        this.input = new InputSystem(this.loadStored(this.inputSettingsKey, {}));
+        this.input.addListener(event => this.handleInputAction(event));
+        this.bindingCapture = null;       // { device, action, slot } while rebinding
+        
+        // Jam: other players in a room on the relay, drawn as spheres in
+        // their colours. Their chords sound with the local one, either
+        // voiced together as one chord ('combined') or each as its player
+        // voiced it ('voices').
+        this.jam = new JamClient();
+        this.jam.addListener(event => this.handleJamEvent(event));
+        this.jamMode = 'combined';
+        this.jamVoicing = new VoicingEngine();
+        this.jamSpheres = new Map();      // player id -> mesh
+        this.jamChord = null;             // Local chord as sent to the room
+        this.jamPitchClasses = [];        // Pitch classes sounding now
+        this.jamMessage = null;           // Why the last connection ended
+        this.jamSettingsKey = 'tonnetz-jam';
+        
+        // Triangles currently lit, and their colour (undefined: by quality)
+        this.highlightedTriangles = [];
+        this.highlightColor = undefined;
+        
+        // Pad mode: every finger on the lattice holds the chord under it,
+        // voiced on its own, while the sphere stays put
+        this.padMode = false;
+        this.padTouches = new Map();      // pointer id -> { triangle, voicing }
+        this.padColor = 0xfff3b0;
+        
+        // Area the wrapped grid copies must cover around the player
+        // (comfortably larger than the camera's view of the ground)
+        this.wrapViewSize = { width: 70, depth: 60 };
+        
+        // Display and highlight colour for each chord quality
+        this.qualityColors = {
+            major: 0x4ecdc4,
+            minor: 0xa855f7,
+            diminished: 0x94a3b8,
+            augmented: 0xeab308,
+            dominant7: 0xf59e0b,
+            major7: 0x22c55e,
+            minor7: 0xec4899,
+            halfDiminished7: 0xef4444,
+            diminished7: 0x64748b
+        };
+        Object.assign(this.qualityColors, this.colors.highlights);
+        
+        // Latest entries of the engine's transformation log to show
+        this.visibleLogEntries = 8;
+        this.sessionPathLength = 32;      // Most recent chords kept in a session
+        this.logDisplay = this.ui ? document.getElementById('transform-log') : null;
+        
+        // Touch controls
+        this.isMobile = this.detectMobile();
+        
+        // Setup
+        this.init();
+        this.setupEventListeners();
+        if (this.ui) {
+            this.setupInterface();
+        }
+        if (options.dual) {
+            this.setLattice({ dual: true });
+        }
+        if (options.pad) {
+            this.setPadMode(true);
+        }
+        if (options.wrap) {
+            this.setWrapMode(true);
+        }
+        if (options.movement) {
+            this.setMovementMode(options.movement);
+        }
+        if (options.tuning) {
+            this.setTuning(options.tuning);
+        }
+        if (options.start) {
+            this.moveTo(options.start);
+        }
+        if (options.session) {
+            this.loadSession(options.session);
+        }
+        if (options.jam) {
+            this.joinJam(options.jam);
+        }
+        this.animate();
+    }
+
+    // Listen for the game's events:
+    //   'chordchange'     { name, root, quality, pitchClasses, notes } for each chord
+    //   'transformation'  { from, to, operation } for each move, e.g. C (R) Am
+    //   'leavegrid'       {} when the sphere rolls off the grid
+    on(type, handler) {
+        (this.eventHandlers[type] = this.eventHandlers[type] || []).push(handler);
+    }
+
+    off(type, handler) {
+        if (!this.eventHandlers[type]) return;
+        this.eventHandlers[type] = this.eventHandlers[type].filter(h => h !== handler);
+    }
+
+    dispatch(type, detail) {
+        (this.eventHandlers[type] || []).forEach(handler => handler(detail));
+    }
+
+    // addEventListener that destroy() undoes
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.domListeners.push({ target, type, handler, options });
+    }
+
+    // Roll (or glide, in PLR mode) to the nearest triangle of a major or
+    // minor chord, e.g. 'F#m'. Returns false if there's no such triangle.
+    moveTo(chordName) {
+        const chord = this.tonnetz.parseChordSymbol(chordName);
+        return Boolean(chord && this.engine.moveToChord(chord.pitchClasses));
+    }
+
+    // Start sound and play the chord underfoot. Browsers only allow audio
+    // to start from a click or key press, so call this from one.
+    play() {
+        this.audioSystem.init();
+        if (this.engine.currentChord) {
+            this.engine.playHarmony(this.engine.currentChord);
+        } else if (this.jamMode === 'combined') {
+            this.playJamChord();
+        }
+        if (this.jamMode === 'voices') {
+            this.jam.players.forEach(player => this.updateJamSound(player));
+        }
+    }
+
+    // Everything needed to reopen this session: settings, the chords
+    // visited and the loop (see SESSIONS)
+    getSession() {
+        const tuning = this.engine.tuning;
+        const cell = triangle => ({ row: triangle.row, col: triangle.col, type: triangle.type });
+        
+        return {
+            version: SESSION_VERSION,
+            grid: {
+                width: this.tonnetz.gridWidth,
+                height: this.tonnetz.gridHeight,
+                wrap: this.tonnetz.wrap,
+                intervals: this.tonnetz.intervals.slice(),
+                dual: this.tonnetz.dual
+            },
+            movement: this.engine.movementMode,
+            voicing: this.engine.voicing.strategy,
+            harmony: this.engine.harmonyLayer,
+            key: this.speller.key ? this.speller.key.name : null,
+            instrument: this.audioSystem.instrument.presetName,
+            volume: Math.round(this.audioSystem.volume * 100),
+            tuning: { mode: tuning.mode, tonic: tuning.tonic, scale: tuning.scale },
+            path: this.engine.transformationLog.slice(-this.sessionPathLength).map(entry => cell(entry.triangle)),
+            sequencer: {
+                tempo: this.sequencer.tempo,
+                pattern: this.sequencer.pattern,
+                rate: this.sequencer.rate,
+                swing: this.sequencer.swing,
+                steps: this.sequencer.steps.map((step) => {
+                    // The copy that was clicked, which differs in wrap mode
+                    const { row, col } = this.tonnetz.worldToLattice(step.position.x, step.position.z);
+                    return { row: Math.floor(row), col: Math.floor(col), type: step.triangle.type, beats: step.beats };
+                })
+            }
+        };
+    }
+
+    // Open a session from getSession; missing fields are left as they
+    // are. Returns false, changing nothing, if it needs another grid size.
+    loadSession(session) {
+        const grid = session.grid;
+        if (grid && (grid.width !== this.tonnetz.gridWidth || grid.height !== this.tonnetz.gridHeight)) {
+            return false;
+        }
+        if (grid && (grid.intervals || grid.dual !== undefined)) {
+            this.setLattice({ intervals: grid.intervals, dual: grid.dual });
+        }
+        if (grid && Boolean(grid.wrap) !== this.tonnetz.wrap) {
+            this.setWrapMode(Boolean(grid.wrap));
+        }
+        
+        if (session.instrument) {
+            this.audioSystem.setInstrument(session.instrument);
+        }
+        if (session.volume !== undefined) {
+            this.audioSystem.setVolume(session.volume);
+        }
+        if (session.voicing) {
+            this.setVoicingStrategy(session.voicing);
+        }
+        if (session.harmony) {
+            this.engine.setHarmonyLayer(session.harmony);
+        }
+        if (session.key !== undefined) {
+            this.setKey(this.speller.getKeys().find(key => key.name === session.key) || null);
+        }
+        
+        const tuning = session.tuning;
+        if (tuning) {
+            if (tuning.scale) {
+                this.engine.tuning.setScale(tuning.scale);
+            }
+            if (tuning.tonic !== undefined) {
+                this.engine.tuning.setTonic(tuning.tonic);
+            }
+            this.setTuning(tuning.mode || 'equal');
+        }
+        
+        if (session.movement) {
+            this.setMovementMode(session.movement);
+        }
+        if (session.path) {
+            const triangles = session.path.map(cell => this.tonnetz.getTriangleAt(cell.row, cell.col, cell.type));
+            this.engine.restorePath(triangles.filter(Boolean));
+        }
+        
+        const sequencer = session.sequencer;
+        if (sequencer) {
+            this.sequencer.clear();
+            if (sequencer.tempo) {
+                this.sequencer.setTempo(sequencer.tempo);
+            }
+            if (this.sequencer.patterns.hasOwnProperty(sequencer.pattern)) {
+                this.sequencer.pattern = sequencer.pattern;
+            }
+            if (sequencer.rate > 0) {
+                this.sequencer.rate = sequencer.rate;
+            }
+            if (sequencer.swing !== undefined) {
+                this.sequencer.swing = sequencer.swing;
+            }
+            (sequencer.steps || []).forEach((step) => {
+                const triangle = this.tonnetz.getTriangleAt(step.row, step.col, step.type);
+                if (triangle) {
+                    this.sequencer.addStep(triangle, step.beats,
+                        this.tonnetz.getCellCenter(step.row, step.col, step.type));
+                }
+            });
+            this.updateSequencer();
+        }
+        
+        if (this.ui) {
+            this.updateControls();
+        }
+        return true;
+    }
+
+    // Stop the game and remove it from the page
+    destroy() {
+        cancelAnimationFrame(this.frameId);
+        this.domListeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.domListeners = [];
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        this.eventHandlers = {};
+        
+        clearTimeout(this.nextQuestionTimer);
+        clearInterval(this.sessionTimer);
+        this.jam.disconnect();
+        this.sequencer.stop();
+        this.midi.setInput(null);
+        this.midi.setOutput(null);
+        if (this.audioSystem.audioContext) {
+            this.audioSystem.audioContext.close();
+        }
+        
+        this.gridRenderer.destroy();
+        this.renderer.dispose();
+        this.container.removeChild(this.renderer.domElement);
+    }
+
+    detectMobile() {
+        // Detect if the device is mobile/touch-enabled
+        return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) ||
+               (window.matchMedia && window.matchMedia('(max-width: 768px)').matches);
+    }
+
+    init() {
+        // Create scene
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(this.colors.background !== undefined ? this.colors.background : 0x1a1a2e);
+        // No fog for orthographic (it doesn't work well with ortho)
+
+        // Create orthographic camera with isometric-style angle
         const frustumSize = 35;
-        const aspect = window.innerWidth / window.innerHeight;
+        const size = this.getViewSize();
+        const aspect = size.width / size.height;
         this.frustumSize = frustumSize;
         this.camera = new THREE.OrthographicCamera(
             frustumSize * aspect / -2,
@@ -403,435 +3381,2095 @@ class TonnetzGame {
         this.camera.position.set(0, cameraHeight, cameraDistance);
         this.camera.lookAt(0, 0, 0);
         
-        // Store initial camera rotation (will never change)
-        this.initialCameraRotation = this.camera.rotation.clone();
+        // Store initial camera rotation (will never change)
+        this.initialCameraRotation = this.camera.rotation.clone();
+
+        // Create renderer
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.renderer.setSize(size.width, size.height);
+        this.renderer.domElement.style.display = 'block';
+        this.renderer.setPixelRatio(window.devicePixelRatio);
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.container.appendChild(this.renderer.domElement);
+
+        // Add lights
+        this.addLights();
+
+        // Create Tonnetz grid visualization
+        this.createTonnetzGrid();
+
+        // Create player
+        this.createPlayer();
+
+        // Add ground
+        this.createGround();
+    }
+
+    addLights() {
+        // Ambient light
+        const ambientLight = new THREE.AmbientLight(0x404040, 0.5);
+        this.scene.add(ambientLight);
+
+        // Directional light (sun)
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+        directionalLight.position.set(10, 20, 10);
+        directionalLight.castShadow = true;
+        directionalLight.shadow.mapSize.width = 2048;
+        directionalLight.shadow.mapSize.height = 2048;
+        directionalLight.shadow.camera.near = 0.5;
+        directionalLight.shadow.camera.far = 50;
+        directionalLight.shadow.camera.left = -30;
+        directionalLight.shadow.camera.right = 30;
+        directionalLight.shadow.camera.top = 30;
+        directionalLight.shadow.camera.bottom = -30;
+        this.scene.add(directionalLight);
+
+        // Point light for player glow
+        this.playerLight = new THREE.PointLight(0x4ecdc4, 1, 10);
+        this.playerLight.position.set(0, 2, 0);
+        this.scene.add(this.playerLight);
+    }
+
+    createGround() {
+        const groundGeometry = new THREE.PlaneGeometry(100, 100);
+        const groundMaterial = new THREE.MeshStandardMaterial({
+            color: this.colors.ground !== undefined ? this.colors.ground : 0x16213e,
+            roughness: 0.8,
+            metalness: 0.2
+        });
+        const ground = new THREE.Mesh(groundGeometry, groundMaterial);
+        ground.rotation.x = -Math.PI / 2;
+        ground.position.y = -0.1;
+        ground.receiveShadow = true;
+        this.scene.add(ground);
+        this.ground = ground;
+    }
+
+    createTonnetzGrid() {
+        // In wrap mode the grid is drawn several times side by side so the
+        // field looks endless; otherwise a single copy at the origin
+        if (this.tonnetz.wrap) {
+            this.wrapTiling = this.tonnetz.getWrapTiling(this.wrapViewSize.width, this.wrapViewSize.depth);
+        } else {
+            this.wrapTiling = null;
+        }
+        
+        if (!this.gridRenderer) {
+            this.gridRenderer = new GridRenderer(this.scene, this.tonnetz, this.camera,
+                Object.assign({ ground: this.colors.ground }, this.colors.triangles));
+        }
+        this.gridRenderer.build(this.wrapTiling);
+        this.updateNoteLabels();
+        
+        this.lastWrapFocus = null;
+        this.updateWrapTiling();
+    }
+
+    // Recreate the grid meshes and labels
+    rebuildGrid() {
+        this.releasePadTouches();
+        this.highlightedTriangles = [];
+        this.createTonnetzGrid();
+        
+        // Force the current triangle to be re-detected
+        if (this.engine.currentTriangle) {
+            this.audioSystem.stopChord();
+        }
+        this.engine.currentTriangle = null;
+    }
+
+    // Switch to another T[a,b,c] lattice and/or its chicken-wire dual, e.g.
+    // { intervals: [2, 3, 7] } or { dual: true }. Returns false, with the
+    // reason in the console, if the intervals aren't a lattice.
+    setLattice(lattice) {
+        try {
+            this.engine.setLattice(lattice);
+        } catch (error) {
+            console.warn(error.message);
+            return false;
+        }
+        return true;
+    }
+
+    // The engine switched lattice: rebuild the meshes and labels, and move
+    // whatever held the old lattice's triangles onto the same cells
+    redrawLattice() {
+        if (this.puzzle && !this.tonnetz.usesThirdsAndFifths()) {
+            // Puzzle levels are written for T[3,4,5]
+            this.quitPuzzle();
+        }
+        if (this.trainingKind) {
+            this.stopTraining();
+        }
+        this.sequencer.steps.forEach((step) => {
+            const { row, col, type } = step.triangle;
+            step.triangle = this.tonnetz.getTriangleAt(row, col, type);
+        });
+        this.sequencer.revoice();
+        
+        if (this.tonnetz.wrap && !this.tonnetz.canWrap()) {
+            this.setWrapMode(false);
+        } else {
+            this.rebuildGrid();
+            this.updateSequencePath();
+            this.updateTints();
+        }
+        this.updateSequenceSteps(-1);
+        if (this.ui) {
+            document.getElementById('lattice-select').value = this.tonnetz.intervals.join(',');
+            document.getElementById('dual-btn').classList.toggle('active', this.tonnetz.dual);
+        }
+    }
+
+    setWrapMode(enabled) {
+        if (enabled && !this.tonnetz.canWrap()) {
+            console.warn('Grid dimensions do not repeat in pitch space; wrap mode unavailable');
+            return false;
+        }
+        this.tonnetz.wrap = enabled;
+        
+        // The ground only follows the player while the field is endless
+        this.ground.position.x = 0;
+        this.ground.position.z = 0;
+        
+        this.rebuildGrid();
+        this.updateSequencePath();
+        this.updateTints();
+        if (this.ui) {
+            document.getElementById('wrap-btn').classList.toggle('active', this.tonnetz.wrap);
+        }
+        return this.tonnetz.wrap;
+    }
+
+    // Move every wrapped copy to its image closest to the player, so the
+    // visible field is always centered on the player. Only runs once the
+    // player has moved a fair distance since the last re-tiling.
+    updateWrapTiling() {
+        if (!this.wrapTiling) return;
+        
+        const focus = this.engine.position;
+        if (this.lastWrapFocus) {
+            const dx = focus.x - this.lastWrapFocus.x;
+            const dz = focus.z - this.lastWrapFocus.z;
+            if (dx * dx + dz * dz < this.tonnetz.triangleSize * this.tonnetz.triangleSize) return;
+        }
+        this.lastWrapFocus = { x: focus.x, z: focus.z };
+        
+        this.gridRenderer.updateTiling(focus);
+        
+        this.ground.position.x = focus.x;
+        this.ground.position.z = focus.z;
+    }
+
+    // Re-spell every vertex label for the current key or context
+    updateNoteLabels() {
+        this.gridRenderer.updateLabels(fifths => this.speller.spellLatticeFifths(fifths));
+    }
+
+    createPlayer() {
+        // Create player sphere
+        const geometry = new THREE.SphereGeometry(this.playerRadius, 32, 32);
+        const color = this.colors.player !== undefined ? this.colors.player : 0xff6b6b;
+        const material = new THREE.MeshStandardMaterial({
+            color: color,
+            roughness: 0.3,
+            metalness: 0.7,
+            emissive: color,
+            emissiveIntensity: 0.2
+        });
+        
+        this.player = new THREE.Mesh(geometry, material);
+        this.playerColor = color;
+        this.player.position.set(0, this.playerRadius, 0);
+        this.player.castShadow = true;
+        this.player.receiveShadow = true;
+        
+        this.scene.add(this.player);
+    }
+
+    // Size of the drawing area: the window for the full page, otherwise
+    // the container
+    getViewSize() {
+        if (this.ui) {
+            return { width: window.innerWidth, height: window.innerHeight };
+        }
+        return {
+            width: this.container.clientWidth || 300,
+            height: this.container.clientHeight || 150
+        };
+    }
+
+    handleResize() {
+        const size = this.getViewSize();
+        const aspect = size.width / size.height;
+        this.camera.left = this.frustumSize * aspect / -2;
+        this.camera.right = this.frustumSize * aspect / 2;
+        this.camera.top = this.frustumSize / 2;
+        this.camera.bottom = this.frustumSize / -2;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(size.width, size.height);
+    }
+
+    setupEventListeners() {
+        // Keyboard events go to the whole page for the full game; an
+        // embedded game only takes keys while it has focus, so several can
+        // share a page
+        let keyTarget = document;
+        if (!this.ui) {
+            keyTarget = this.container;
+            if (this.container.tabIndex < 0) {
+                this.container.tabIndex = 0;
+            }
+        }
+        
+        if (this.controls.keyboard) {
+            this.listen(keyTarget, 'keydown', (e) => {
+                // Leave typing in the panels' text and number fields alone
+                if (e.target.tagName === 'TEXTAREA') return;
+                if (e.target.tagName === 'INPUT' && ['number', 'text'].includes(e.target.type)) return;
+                
+                const key = e.key.toLowerCase();
+                if (this.bindingCapture) {
+                    e.preventDefault();
+                    this.captureBinding(key);
+                    return;
+                }
+                // Keep bound keys from scrolling the page or pressing the
+                // focused button (e.g. Space)
+                if (this.input.handleKeyDown(key) && !['SELECT', 'INPUT'].includes(e.target.tagName)) {
+                    e.preventDefault();
+                }
+            });
+
+            this.listen(keyTarget, 'keyup', (e) => {
+                this.input.handleKeyUp(e.key.toLowerCase());
+            });
+            
+            // Keys held when focus leaves would otherwise stay down
+            this.listen(keyTarget === document ? window : keyTarget, 'blur', () => {
+                this.input.releaseKeys();
+            });
+        }
+
+        // Follow the container's size when embedded, the window's otherwise
+        if (!this.ui && window.ResizeObserver) {
+            this.resizeObserver = new ResizeObserver(() => this.handleResize());
+            this.resizeObserver.observe(this.container);
+        } else {
+            this.listen(window, 'resize', () => this.handleResize());
+        }
+
+        // Touch or mouse: roll towards the pointer while it's held down
+        if (this.controls.touch) {
+            const canvas = this.renderer.domElement;
+            // No scrolling or zooming the page from the canvas
+            canvas.style.touchAction = 'none';
+            let pointerId = null;
+            
+            this.listen(canvas, 'pointerdown', (e) => {
+                // The loop panel adds triangles on click instead
+                if (e.button !== 0 || this.isEditingSequence()) return;
+                // On the pad every finger plays
+                if (this.padMode) {
+                    canvas.setPointerCapture(e.pointerId);
+                    this.audioSystem.init();
+                    this.updatePadTouch(e);
+                    return;
+                }
+                if (!e.isPrimary) return;
+                pointerId = e.pointerId;
+                canvas.setPointerCapture(pointerId);
+                this.handlePointer(e);
+            });
+
+            this.listen(canvas, 'pointermove', (e) => {
+                if (this.padTouches.has(e.pointerId)) {
+                    this.updatePadTouch(e);
+                } else if (e.pointerId === pointerId) {
+                    this.handlePointer(e);
+                }
+            });
+
+            const release = (e) => {
+                this.releasePadTouch(e.pointerId);
+                if (e.pointerId !== pointerId) return;
+                pointerId = null;
+                this.engine.setTarget(null);
+            };
+            this.listen(canvas, 'pointerup', release);
+            this.listen(canvas, 'pointercancel', release);
+        }
+    }
+
+    // Panels, buttons and displays of the full page (index.html)
+    setupInterface() {
+        // Start button
+        const startBtn = document.getElementById('start-btn');
+        const overlay = document.getElementById('start-overlay');
+        
+        // Show appropriate controls based on device
+        const desktopControls = document.getElementById('desktop-controls');
+        const mobileControls = document.getElementById('mobile-controls');
+        if (this.isMobile && mobileControls && desktopControls) {
+            desktopControls.style.display = 'none';
+            mobileControls.style.display = 'inline';
+        }
+        
+        this.listen(startBtn, 'click', () => {
+            this.play();
+            overlay.style.display = 'none';
+        });
+        
+        // Volume controls
+        const volumeSlider = document.getElementById('volume-slider');
+        const muteBtn = document.getElementById('mute-btn');
+        
+        this.listen(volumeSlider, 'input', (e) => {
+            this.audioSystem.setVolume(parseInt(e.target.value));
+            // Update mute button icon if unmuting via slider
+            if (parseInt(e.target.value) > 0 && this.audioSystem.isMuted) {
+                this.audioSystem.setMuted(false);
+                muteBtn.textContent = '🔊';
+            }
+        });
+        
+        this.listen(muteBtn, 'click', () => {
+            this.toggleMute();
+        });
+        
+        // Instrument and sound settings
+        const instrumentSelect = document.getElementById('instrument-select');
+        const soundBtn = document.getElementById('sound-btn');
+        const soundPanel = document.getElementById('sound-panel');
+        const paramSliders = soundPanel.querySelectorAll('input[data-param]');
+        const effectSliders = soundPanel.querySelectorAll('input[data-effect]');
+        this.updateSoundPanel();
+        
+        this.listen(instrumentSelect, 'change', (e) => {
+            this.audioSystem.setInstrument(e.target.value);
+            this.updateSoundPanel();
+            // Replay the current chord with the new sound
+            if (this.engine.currentChord) {
+                this.engine.playHarmony(this.engine.currentChord);
+            }
+        });
+        
+        this.listen(soundBtn, 'click', () => {
+            soundPanel.classList.toggle('open');
+            soundBtn.classList.toggle('active', soundPanel.classList.contains('open'));
+        });
+        
+        paramSliders.forEach((slider) => {
+            this.listen(slider, 'input', (e) => {
+                this.audioSystem.instrument.set(slider.dataset.param, parseFloat(e.target.value));
+            });
+        });
+        
+        effectSliders.forEach((slider) => {
+            this.listen(slider, 'input', (e) => {
+                this.audioSystem.setEffect(slider.dataset.effect, parseFloat(e.target.value));
+            });
+        });
+        
+        this.listen(document.getElementById('expression-select'), 'change', (e) => {
+            this.audioSystem.setExpression(e.target.value);
+        });
+        
+        // Tuning
+        const tuningSelect = document.getElementById('tuning-select');
+        this.listen(tuningSelect, 'change', (e) => {
+            this.setTuning(e.target.value);
+        });
+        
+        this.listen(document.getElementById('tuning-tonic'), 'change', (e) => {
+            this.setTuningTonic(parseInt(e.target.value, 10));
+        });
+        
+        this.listen(document.getElementById('scala-file'), 'change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            file.text().then(text => this.loadScalaFile(text, file.name));
+            e.target.value = '';
+        });
+        
+        // Session panel. The address bar always links to the current
+        // session, and opening a link in this tab loads it.
+        this.sessionTimer = setInterval(() => this.saveSessionToUrl(), 1000);
+        
+        this.listen(window, 'hashchange', () => {
+            try {
+                const session = decodeSessionHash(location.hash);
+                if (session) {
+                    this.openSession(validateSession(session));
+                }
+            } catch (error) {
+                console.warn(`Ignoring session link: ${error.message}`);
+            }
+        });
+        
+        this.listen(document.getElementById('session-link-btn'), 'click', () => {
+            this.copySessionLink();
+        });
+        
+        this.listen(document.getElementById('session-save-btn'), 'click', () => {
+            this.saveSessionFile();
+        });
+        
+        this.listen(document.getElementById('session-file'), 'change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            file.text().then(text => this.loadSessionFile(text));
+            e.target.value = '';
+        });
+        
+        // Export panel
+        const exportBtn = document.getElementById('export-btn');
+        const exportPanel = document.getElementById('export-panel');
+        const midiExportBtn = document.getElementById('export-midi-btn');
+        const clearRecordingBtn = document.getElementById('clear-recording-btn');
+        
+        // The export, MIDI and loop panels share one spot above the mode
+        // controls, so only one is open at a time
+        this.sidePanels = {
+            export: { button: exportBtn, panel: exportPanel },
+            midi: { button: document.getElementById('midi-btn'), panel: document.getElementById('midi-panel') },
+            sequencer: { button: document.getElementById('sequencer-btn'), panel: document.getElementById('sequencer-panel') },
+            puzzle: { button: document.getElementById('puzzle-btn'), panel: document.getElementById('puzzle-panel') },
+            session: { button: document.getElementById('session-btn'), panel: document.getElementById('session-panel') },
+            jam: { button: document.getElementById('jam-btn'), panel: document.getElementById('jam-panel') },
+            controls: {
+                button: document.getElementById('controls-btn'),
+                panel: document.getElementById('controls-panel'),
+                onClose: () => this.cancelBindingCapture()
+            },
+            training: {
+                button: document.getElementById('training-btn'),
+                panel: document.getElementById('training-panel'),
+                onClose: () => this.stopTraining()
+            }
+        };
+        
+        this.listen(exportBtn, 'click', () => {
+            this.toggleSidePanel('export');
+            this.updateRecordingStatus();
+        });
+        
+        this.listen(midiExportBtn, 'click', () => {
+            this.exportMidi();
+        });
+        
+        this.listen(document.getElementById('export-wav-btn'), 'click', () => {
+            this.exportAudio();
+        });
+        
+        this.listen(clearRecordingBtn, 'click', () => {
+            this.recorder.clear();
+            this.updateRecordingStatus();
+        });
+        
+        // MIDI panel (access is only requested once the panel is opened)
+        this.listen(this.sidePanels.midi.button, 'click', () => {
+            if (this.toggleSidePanel('midi')) {
+                this.connectMidi();
+            }
+        });
+        
+        this.listen(document.getElementById('midi-output-select'), 'change', (e) => {
+            this.midi.setOutput(e.target.value);
+        });
+        
+        this.listen(document.getElementById('midi-input-select'), 'change', (e) => {
+            this.midi.setInput(e.target.value);
+        });
+        
+        // Loop panel
+        const playLoopBtn = document.getElementById('sequencer-play-btn');
+        
+        this.listen(this.sidePanels.sequencer.button, 'click', () => {
+            this.toggleSidePanel('sequencer');
+        });
+        
+        this.listen(playLoopBtn, 'click', () => {
+            if (this.sequencer.playing) {
+                this.stopSequencer();
+            } else {
+                this.startSequencer();
+            }
+        });
+        
+        this.listen(document.getElementById('progression-import-btn'), 'click', () => {
+            const warnings = this.importProgression(document.getElementById('progression-text').value);
+            const status = document.getElementById('progression-status');
+            status.innerHTML = '';
+            warnings.forEach((warning) => {
+                const line = document.createElement('div');
+                line.textContent = warning;
+                status.appendChild(line);
+            });
+        });
+        
+        this.listen(document.getElementById('sequencer-undo-btn'), 'click', () => {
+            this.sequencer.removeLastStep();
+            this.updateSequencer();
+        });
+        
+        this.listen(document.getElementById('sequencer-clear-btn'), 'click', () => {
+            this.stopSequencer();
+            this.sequencer.clear();
+            this.updateSequencer();
+        });
+        
+        this.listen(document.getElementById('sequencer-tempo'), 'change', (e) => {
+            this.sequencer.setTempo(parseFloat(e.target.value));
+        });
+        
+        this.listen(document.getElementById('sequencer-step-length'), 'change', (e) => {
+            this.newStepBeats = parseFloat(e.target.value);
+        });
+        
+        this.listen(document.getElementById('sequencer-pattern'), 'change', (e) => {
+            this.sequencer.pattern = e.target.value;
+        });
+        
+        this.listen(document.getElementById('sequencer-rate'), 'change', (e) => {
+            this.sequencer.rate = parseFloat(e.target.value);
+        });
+        
+        this.listen(document.getElementById('sequencer-swing'), 'input', (e) => {
+            this.sequencer.swing = e.target.value / 100;
+        });
+        
+        this.listen(this.sidePanels.session.button, 'click', () => {
+            this.toggleSidePanel('session');
+        });
+        
+        // Jam panel: the relay, room and look are remembered between visits
+        const jamFields = {
+            url: document.getElementById('jam-url'),
+            room: document.getElementById('jam-room'),
+            name: document.getElementById('jam-name'),
+            color: document.getElementById('jam-color'),
+            mode: document.getElementById('jam-mode')
+        };
+        const jamSettings = Object.assign({
+            url: this.getDefaultRelayUrl(),
+            room: '',
+            name: '',
+            color: JAM_COLORS[Math.floor(Math.random() * JAM_COLORS.length)],
+            mode: this.jamMode
+        }, this.loadStored(this.jamSettingsKey, {}));
+        ['url', 'room', 'name', 'mode'].forEach((field) => {
+            jamFields[field].value = jamSettings[field];
+        });
+        jamFields.color.value = '#' + jamSettings.color.toString(16).padStart(6, '0');
+        this.setJamMode(jamSettings.mode);
+        this.updateJamPanel();
+        
+        const readJamSettings = () => {
+            const settings = {
+                url: jamFields.url.value.trim(),
+                room: jamFields.room.value.trim(),
+                name: jamFields.name.value.trim(),
+                color: parseInt(jamFields.color.value.slice(1), 16),
+                mode: jamFields.mode.value
+            };
+            this.saveStored(this.jamSettingsKey, settings);
+            return settings;
+        };
+        
+        this.listen(this.sidePanels.jam.button, 'click', () => {
+            this.toggleSidePanel('jam');
+        });
+        
+        this.listen(document.getElementById('jam-join-btn'), 'click', () => {
+            if (this.jam.status !== 'closed') {
+                this.leaveJam();
+                return;
+            }
+            const settings = readJamSettings();
+            if (!settings.room) {
+                this.jamMessage = 'Enter a room code';
+                this.updateJamPanel();
+                return;
+            }
+            this.joinJam(settings);
+        });
+        
+        this.listen(jamFields.mode, 'change', () => {
+            this.setJamMode(readJamSettings().mode);
+        });
+        
+        // Controls panel: rebind actions and set the stick deadzone
+        const deadzoneSlider = document.getElementById('deadzone-slider');
+        
+        this.listen(this.sidePanels.controls.button, 'click', () => {
+            if (this.toggleSidePanel('controls')) {
+                deadzoneSlider.value = this.input.deadzone;
+                this.updateBindingTable();
+                this.updateGamepadStatus();
+            }
+        });
+        
+        this.listen(deadzoneSlider, 'input', (e) => {
+            this.input.setDeadzone(parseFloat(e.target.value));
+            this.saveStored(this.inputSettingsKey, this.input.getSettings());
+        });
+        
+        this.listen(document.getElementById('bindings-reset-btn'), 'click', () => {
+            this.input.resetBindings();
+            this.cancelBindingCapture();
+            this.saveStored(this.inputSettingsKey, this.input.getSettings());
+        });
+        
+        this.listen(window, 'gamepadconnected', () => this.updateGamepadStatus());
+        this.listen(window, 'gamepaddisconnected', () => this.updateGamepadStatus());
+        
+        // Puzzle panel and HUD
+        this.listen(this.sidePanels.puzzle.button, 'click', () => {
+            this.toggleSidePanel('puzzle');
+            this.updatePuzzleLevels();
+        });
+        
+        this.listen(document.getElementById('puzzle-file'), 'change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            file.text().then(text => this.loadPuzzleFile(text));
+            e.target.value = '';
+        });
+        
+        this.listen(document.getElementById('puzzle-restart-btn'), 'click', () => {
+            if (this.puzzle) this.startPuzzle(this.puzzle.level);
+        });
+        
+        this.listen(document.getElementById('puzzle-quit-btn'), 'click', () => {
+            this.quitPuzzle();
+        });
+        
+        // Ear training panel
+        this.listen(this.sidePanels.training.button, 'click', () => {
+            this.toggleSidePanel('training');
+            this.updateTrainingStats();
+        });
+        
+        this.listen(document.getElementById('training-start-btn'), 'click', () => {
+            if (this.trainingKind) {
+                this.stopTraining();
+            } else {
+                this.startTraining(document.getElementById('training-kind').value);
+            }
+        });
+        
+        this.listen(document.getElementById('training-replay-btn'), 'click', () => {
+            this.playQuestion();
+        });
+        
+        this.listen(document.getElementById('training-answer-btn'), 'click', () => {
+            this.submitAnswer();
+        });
+        
+        this.listen(document.getElementById('training-reset-btn'), 'click', () => {
+            this.trainer.reset();
+            this.saveStored(this.trainerStatsKey, this.trainer.stats);
+            this.updateTrainingStats();
+            if (this.trainingKind) this.askQuestion();
+        });
+        
+        // Clicking (or tapping) a triangle while the loop panel is open
+        // adds it to the loop
+        this.listen(this.renderer.domElement, 'click', (e) => {
+            if (this.isEditingSequence()) {
+                this.addSequencerStepAt(e.clientX, e.clientY);
+            }
+        });
+        
+        // Mode controls
+        const wrapBtn = document.getElementById('wrap-btn');
+        const plrBtn = document.getElementById('plr-btn');
+        
+        this.listen(wrapBtn, 'click', () => {
+            this.setWrapMode(!this.tonnetz.wrap);
+        });
+        
+        const latticeSelect = document.getElementById('lattice-select');
+        const dualBtn = document.getElementById('dual-btn');
+        latticeSelect.value = this.tonnetz.intervals.join(',');
+        
+        this.listen(latticeSelect, 'change', (e) => {
+            this.setLattice({ intervals: e.target.value.split(',').map(Number) });
+        });
+        
+        this.listen(dualBtn, 'click', () => {
+            this.setLattice({ dual: !this.tonnetz.dual });
+        });
+        
+        this.listen(document.getElementById('pad-btn'), 'click', () => {
+            this.setPadMode(!this.padMode);
+        });
+        
+        const voicingSelect = document.getElementById('voicing-select');
+        
+        this.listen(voicingSelect, 'change', (e) => {
+            this.setVoicingStrategy(e.target.value);
+        });
+        
+        const keySelect = document.getElementById('key-select');
+        const keys = this.speller.getKeys();
+        keys.forEach((key, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = key.name;
+            keySelect.appendChild(option);
+        });
+        
+        this.listen(keySelect, 'change', (e) => {
+            this.setKey(e.target.value === 'auto' ? null : keys[parseInt(e.target.value)]);
+        });
+        
+        const harmonySelect = document.getElementById('harmony-select');
+        
+        this.listen(harmonySelect, 'change', (e) => {
+            this.engine.setHarmonyLayer(e.target.value);
+        });
+        
+        this.listen(plrBtn, 'click', () => {
+            this.setMovementMode(this.engine.movementMode === 'free' ? 'discrete' : 'free');
+        });
+    }
 
-        // Create renderer
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        this.container.appendChild(this.renderer.domElement);
+    // Point on the ground (y = 0) under a screen position, or null
+    screenToGround(clientX, clientY) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const x = ((clientX - rect.left) / rect.width) * 2 - 1;
+        const y = -((clientY - rect.top) / rect.height) * 2 + 1;
 
-        // Add lights
-        this.addLights();
+        // Create a raycaster to find the position in world space
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera({ x, y }, this.camera);
 
-        // Create Tonnetz grid visualization
-        this.createTonnetzGrid();
+        // Create a plane at y=0 to intersect with
+        const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        const intersectPoint = new THREE.Vector3();
+        return raycaster.ray.intersectPlane(plane, intersectPoint);
+    }
+
+    handlePointer(pointer) {
+        const point = this.screenToGround(pointer.clientX, pointer.clientY);
+        if (point) {
+            this.engine.setTarget(point);
+        }
+    }
+
+    // Pad mode: the lattice becomes a multi-touch instrument. Each finger
+    // (or the mouse) holds the chord of the triangle under it, and sliding
+    // to a neighbour moves only the notes that change. Pad chords aren't
+    // recorded, sent to MIDI or shared in a jam.
+    setPadMode(enabled) {
+        this.padMode = Boolean(enabled);
+        this.engine.setTarget(null);
+        if (!this.padMode) {
+            this.releasePadTouches();
+        }
+        if (this.ui) {
+            document.getElementById('pad-btn').classList.toggle('active', this.padMode);
+        }
+    }
+
+    // Play the triangle under a pad finger, as it goes down or slides
+    updatePadTouch(pointer) {
+        let touch = this.padTouches.get(pointer.pointerId);
+        if (!touch) {
+            // Each finger leads its own voices from chord to chord
+            const voicing = new VoicingEngine();
+            voicing.setStrategy(this.engine.voicing.strategy);
+            touch = { triangle: null, voicing };
+            this.padTouches.set(pointer.pointerId, touch);
+        }
+        
+        const point = this.screenToGround(pointer.clientX, pointer.clientY);
+        const triangle = point ? this.tonnetz.findTriangleAtPosition(point.x, point.z) : null;
+        if (triangle === touch.triangle) return;
+        
+        const previous = touch.triangle;
+        touch.triangle = triangle;
+        if (previous) {
+            this.restoreHighlight(previous);
+        }
+        
+        // Off the grid the finger falls silent until it slides back on
+        const key = `pad:${pointer.pointerId}`;
+        if (!triangle) {
+            this.audioSystem.releaseHeldChord(key);
+            return;
+        }
+        const notes = touch.voicing.voice(triangle.pitchClasses);
+        this.audioSystem.holdChord(key, notes, this.engine.tuning.frequenciesFor(notes, [triangle]));
+        this.gridRenderer.setHighlight(triangle, this.padColor);
+    }
+
+    releasePadTouch(pointerId) {
+        const touch = this.padTouches.get(pointerId);
+        if (!touch) return;
+        this.padTouches.delete(pointerId);
+        this.audioSystem.releaseHeldChord(`pad:${pointerId}`);
+        if (touch.triangle) {
+            this.restoreHighlight(touch.triangle);
+        }
+    }
+
+    releasePadTouches() {
+        Array.from(this.padTouches.keys()).forEach(id => this.releasePadTouch(id));
+    }
+
+    isPadHeld(triangle) {
+        return Array.from(this.padTouches.values()).some(touch => touch.triangle === triangle);
+    }
+
+    // Give a triangle a pad finger has left the highlight it would have
+    // without the pad
+    restoreHighlight(triangle) {
+        if (this.isPadHeld(triangle)) return;
+        if (this.highlightedTriangles.includes(triangle)) {
+            const color = this.highlightColor;
+            this.gridRenderer.setHighlight(triangle, color !== undefined ? color : this.qualityColors[triangle.type]);
+        } else {
+            this.gridRenderer.setHighlight(triangle, null);
+        }
+    }
+
+    // Move the sphere one frame with the keys held, and follow it with the
+    // mesh and its light
+    updatePlayer() {
+        // An embedded game only reads the gamepad while it has focus
+        if (this.controls.gamepad && (this.ui || document.activeElement === this.container)) {
+            this.input.pollGamepads();
+        }
+        const move = this.input.getMoveVector();
+        this.engine.setDirection(move.x, move.z);
+        this.engine.step();
+        
+        const { position, velocity } = this.engine;
+        this.player.position.x = position.x;
+        this.player.position.z = position.z;
+
+        // Simple rotation based on movement
+        if (Math.abs(velocity.x) > 0.01 || Math.abs(velocity.z) > 0.01) {
+            this.player.rotation.x += velocity.z * 0.5;
+            this.player.rotation.z -= velocity.x * 0.5;
+        }
+
+        // Update player light position
+        this.playerLight.position.copy(this.player.position);
+        this.playerLight.position.y += 1;
+    }
+
+    // Carry out an action from the keyboard or gamepad
+    handleInputAction({ type, action }) {
+        const definition = INPUT_ACTIONS.find(candidate => candidate.id === action);
+        
+        // Holding a quality replaces the triangle's chord with another
+        // chord on the same root
+        if (definition.quality) {
+            if (type === 'press') {
+                this.engine.setHeldQuality(definition.quality);
+            } else if (this.engine.heldQuality === definition.quality) {
+                this.engine.setHeldQuality(null);
+            }
+            return;
+        }
+        if (type !== 'press') return;
+        
+        if (definition.operation) {
+            // Neighbour steps only apply in PLR mode
+            if (this.engine.movementMode === 'discrete') {
+                this.engine.applyTransformation(definition.operation);
+            }
+        } else if (action === 'play') {
+            this.play();
+            if (this.ui) {
+                document.getElementById('start-overlay').style.display = 'none';
+            }
+        } else if (action === 'answer') {
+            if (this.trainingKind) {
+                this.submitAnswer();
+            }
+        } else if (action === 'mute') {
+            this.toggleMute();
+        }
+    }
+
+    toggleMute() {
+        const isMuted = this.audioSystem.toggleMute();
+        if (this.ui) {
+            document.getElementById('mute-btn').textContent = isMuted ? '🔇' : '🔊';
+        }
+    }
+
+    // Draw and sound what the engine reports
+    handleEngineEvent(event) {
+        switch (event.type) {
+            case 'chord':
+                this.playHarmony(event);
+                this.jamChord = {
+                    name: event.spelling.name,
+                    pitchClasses: event.chord.pitchClasses,
+                    notes: event.notes
+                };
+                this.dispatch('chordchange', {
+                    name: event.spelling.name,
+                    root: event.chord.root,
+                    quality: event.chord.quality,
+                    pitchClasses: event.chord.pitchClasses,
+                    notes: event.notes
+                });
+                break;
+            case 'silence':
+                // Stop the previous chord when leaving the grid
+                if (event.previous) {
+                    this.audioSystem.stopChord();
+                }
+                this.jamChord = null;
+                this.jamPitchClasses = [];
+                if (this.jamMode === 'combined' && this.jam.players.size > 0) {
+                    this.playJamChord();
+                }
+                
+                // Not on any triangle - clear highlight and display
+                this.highlightTriangle(null);
+                if (this.chordDisplay) {
+                    this.chordDisplay.textContent = '--';
+                    this.chordDisplay.style.color = '#ff6b6b';
+                    this.notesDisplay.textContent = 'Move to play chords';
+                    this.numeralDisplay.textContent = '';
+                    this.functionDisplay.textContent = '';
+                    this.relationsDisplay.textContent = '';
+                }
+                this.dispatch('leavegrid', {});
+                break;
+            case 'enter':
+                if (this.puzzle) {
+                    this.puzzle.enter(event.triangle, performance.now());
+                    this.updatePuzzle();
+                }
+                break;
+            case 'log': {
+                this.updateLogDisplay();
+                const log = this.engine.transformationLog;
+                if (event.entry.operation && log.length > 1) {
+                    this.dispatch('transformation', {
+                        from: log[log.length - 2].chordName,
+                        to: event.entry.chordName,
+                        operation: event.entry.operation
+                    });
+                }
+                break;
+            }
+            case 'wrap':
+                this.wrapPlayerPosition(event.shift);
+                break;
+            case 'spelling':
+                this.updateNoteLabels();
+                break;
+            case 'lattice':
+                this.redrawLattice();
+                break;
+        }
+    }
+
+    // The engine moved the player by a whole period: move everything that
+    // follows it by the same amount
+    wrapPlayerPosition(shift) {
+        this.player.position.x += shift.x;
+        this.player.position.z += shift.z;
+        this.camera.position.x += shift.x;
+        this.camera.position.z += shift.z;
+        this.sequencer.steps.forEach((step) => {
+            step.position.x += shift.x;
+            step.position.z += shift.z;
+        });
+        this.updateSequencePath();
+        
+        // Re-center the copies on the player's new position
+        this.lastWrapFocus = null;
+        this.updateWrapTiling();
+    }
+
+    // Play and show a chord from the engine
+    playHarmony({ chord, previous, notes, frequencies, spelling, gesture }) {
+        // Stop the previous chord, unless it's crossfading into this one
+        if (previous && !this.audioSystem.isNeighborChord(notes)) {
+            this.audioSystem.stopChord();
+        }
+        
+        this.highlightTriangle(chord.triangles, this.getChordColor(chord));
+        
+        // Play chord (sustained until it changes), with the other players'
+        // notes in a combined jam
+        if (this.jamMode === 'combined' && this.jam.players.size > 0) {
+            this.playJamChord();
+        } else {
+            this.audioSystem.playChord(notes, frequencies, gesture);
+            this.jamPitchClasses = chord.pitchClasses.slice();
+        }
+        this.displayChord(spelling);
+    }
+
+    // Each frame, let the sphere's place in its triangle shape the held
+    // chord, and in crossfade mode sound the triad across the nearest edge.
+    // Sevenths, held qualities and combined jam chords aren't crossfaded.
+    updateExpression() {
+        const audio = this.audioSystem;
+        const chord = this.engine.currentChord;
+        if (!audio.initialized || !chord || audio.activeVoices.length === 0) return;
+        
+        const gesture = this.engine.getGesture();
+        const triadOnly = this.engine.harmonyLayer === 'triads' &&
+            (!this.engine.heldQuality || this.engine.heldQuality === 'triad');
+        const combined = this.jamMode === 'combined' && this.jam.players.size > 0;
+        if (audio.expression === 'crossfade' && gesture.neighbor && triadOnly && !combined) {
+            const notes = this.engine.previewVoicing(gesture.neighbor.pitchClasses);
+            audio.setNeighborChord(notes, this.engine.tuning.frequenciesFor(notes, [gesture.neighbor]));
+        } else {
+            audio.setNeighborChord(null);
+        }
+        audio.setGesture(gesture);
+    }
+
+    // Show the current chord's name and voiced notes, spelled for the
+    // current key or context
+    displayChord(spelling = this.engine.spellChord(this.engine.currentChord)) {
+        if (!this.chordDisplay) return;
+        const chord = this.engine.currentChord;
+        
+        this.chordDisplay.textContent = spelling.name;
+        this.chordDisplay.style.color = '#' + this.getChordColor(chord).toString(16).padStart(6, '0');
+        
+        // Show the voiced notes, lowest first
+        this.notesDisplay.textContent = this.formatVoicing(
+            this.engine.currentNotes, spelling.noteNames, this.engine.currentFrequencies);
+        
+        // Roman numeral and function in the chosen key, and how the chord
+        // relates to the key and to the one before
+        const analysis = this.engine.analyzeChord(chord);
+        this.numeralDisplay.textContent = analysis.numeral || '';
+        this.functionDisplay.textContent = analysis.function || '';
+        this.functionDisplay.style.color = analysis.function
+            ? '#' + this.functionColors[analysis.function].toString(16).padStart(6, '0')
+            : '';
+        this.relationsDisplay.textContent = analysis.relations.join(' · ');
+    }
+
+    // Spelled name of a triangle's triad
+    spellTriangle(triangle) {
+        return this.engine.spellTriangle(triangle);
+    }
+
+    setKey(key) {
+        this.engine.setKey(key);
+        this.updateTints();
+        if (this.engine.currentChord) {
+            this.displayChord();
+        }
+    }
+
+    getChordColor(chord) {
+        if (chord.quality && this.qualityColors.hasOwnProperty(chord.quality)) {
+            return this.qualityColors[chord.quality];
+        }
+        // The triangle chords of other lattices take their triangle's colour
+        const definition = this.tonnetz.chordQualities[chord.quality];
+        if (definition && definition.lattice && chord.triangles && chord.triangles.length > 0) {
+            return this.qualityColors[chord.triangles[0].type];
+        }
+        return 0xffffff;
+    }
+
+    // e.g. [52, 55, 60] -> "E3 - G3 - C4". noteNames maps pitch classes to
+    // their spelling in the chord. Given the tuned frequencies, notes away
+    // from equal temperament show their offset, e.g. "E3 −14¢".
+    formatVoicing(notes, noteNames = {}, frequencies = null) {
+        return notes.map((note, index) => {
+            const pitchClass = note % 12;
+            const name = noteNames[pitchClass] || this.speller.spellPitchClass(pitchClass);
+            // The octave number follows the letter, so B#3 sounds as C4
+            const accidentals = name.slice(1).split('').reduce((sum, sign) => {
+                return sum + (sign === '#' ? 1 : sign === 'x' ? 2 : -1);
+            }, 0);
+            const octave = Math.floor((note - accidentals) / 12) - 1;
+            const cents = frequencies ? Math.round(this.engine.tuning.getCents(note, frequencies[index])) : 0;
+            if (cents === 0) {
+                return name + octave;
+            }
+            return `${name}${octave} ${cents > 0 ? '+' : '−'}${Math.abs(cents)}¢`;
+        }).join(' - ');
+    }
+
+    setVoicingStrategy(strategy) {
+        this.sequencer.setStrategy(strategy);
+        this.engine.setVoicingStrategy(strategy);
+    }
+
+    // Tempo (BPM) and quantise grid (in beats) from the export panel
+    getExportSettings() {
+        const tempo = parseFloat(document.getElementById('export-tempo').value);
+        const quantize = parseFloat(document.getElementById('export-quantize').value);
+        return {
+            tempo: tempo > 0 ? tempo : 120,
+            quantize: quantize > 0 ? quantize : 0
+        };
+    }
+
+    updateRecordingStatus() {
+        const status = document.getElementById('recording-status');
+        const count = this.recorder.length;
+        status.textContent = count === 1 ? '1 chord recorded' : `${count} chords recorded`;
+    }
+
+    exportMidi() {
+        const chords = this.recorder.getChords();
+        if (chords.length === 0) {
+            this.updateRecordingStatus();
+            return;
+        }
+        const writer = new MidiFileWriter(this.getExportSettings());
+        const data = writer.write(chords);
+        downloadBlob(new Blob([data], { type: 'audio/midi' }), 'tonnetz-session.mid');
+    }
+
+    // Render the recording offline with the current sound settings and
+    // download it as a WAV file
+    exportAudio() {
+        if (this.renderingAudio) return;
+        const chords = this.recorder.getChords();
+        if (chords.length === 0) {
+            this.updateRecordingStatus();
+            return;
+        }
+        const status = document.getElementById('recording-status');
+        const bitDepth = parseInt(document.getElementById('export-bit-depth').value, 10) || 16;
+        
+        this.renderingAudio = true;
+        status.textContent = 'Rendering audio...';
+        this.audioSystem.renderOffline(chords)
+            .then((audioBuffer) => {
+                const wav = encodeWav(audioBuffer, bitDepth);
+                downloadBlob(new Blob([wav], { type: 'audio/wav' }), 'tonnetz-session.wav');
+                this.updateRecordingStatus();
+            })
+            .catch((error) => {
+                console.error('Audio export failed:', error);
+                status.textContent = 'Audio export failed';
+            })
+            .then(() => {
+                this.renderingAudio = false;
+            });
+    }
+
+    // Open the named side panel (closing the others), or close it if it's
+    // already open. Returns whether it is now open.
+    toggleSidePanel(name) {
+        const open = !this.sidePanels[name].panel.classList.contains('open');
+        Object.keys(this.sidePanels).forEach((key) => {
+            const { button, panel, onClose } = this.sidePanels[key];
+            const active = key === name && open;
+            if (!active && onClose && panel.classList.contains('open')) {
+                onClose();
+            }
+            panel.classList.toggle('open', active);
+            button.classList.toggle('active', active);
+        });
+        return open;
+    }
+
+    isEditingSequence() {
+        return this.ui && this.sidePanels.sequencer.panel.classList.contains('open');
+    }
+
+    // Add the triangle under a screen point to the loop
+    addSequencerStepAt(clientX, clientY) {
+        const point = this.screenToGround(clientX, clientY);
+        const triangle = point && this.tonnetz.findTriangleAtPosition(point.x, point.z);
+        if (!triangle) return false;
+        
+        // Remember which copy was clicked so the path is drawn there
+        const { row, col } = this.tonnetz.worldToLattice(point.x, point.z);
+        this.sequencer.addStep(triangle, this.newStepBeats,
+            this.tonnetz.getCellCenter(Math.floor(row), Math.floor(col), triangle.type));
+        this.updateSequencer();
+        return true;
+    }
+
+    // Play the loop; false if it's empty or sound hasn't started
+    startSequencer() {
+        if (!this.sequencer.start()) return false;
+        // The loop takes over from the chord under the sphere
+        this.audioSystem.stopChord();
+        if (this.ui) {
+            document.getElementById('sequencer-play-btn').textContent = '⏹ Stop';
+        }
+        return true;
+    }
+
+    stopSequencer() {
+        this.sequencer.stop();
+        if (this.ui) {
+            document.getElementById('sequencer-play-btn').textContent = '▶ Play';
+        }
+        this.highlightTriangle(this.engine.currentChord ? this.engine.currentChord.triangles : null);
+        this.updateSequenceSteps(-1);
+    }
+
+    // Refresh the step list and path after the loop changes
+    updateSequencer() {
+        if (!this.sequencer.playing) {
+            // Removing the last step stops the loop
+            if (this.ui) {
+                document.getElementById('sequencer-play-btn').textContent = '▶ Play';
+            }
+            this.highlightTriangle(this.engine.currentChord ? this.engine.currentChord.triangles : null);
+        }
+        this.updateSequenceSteps(-1);
+        this.updateSequencePath();
+    }
+
+    // Replace the loop with a progression written as text (see
+    // parseProgression), routed from the sphere to each chord's nearest
+    // triangle. Draws the route in and plays it once sound is on. Returns
+    // the warnings for chords that were simplified or left out.
+    importProgression(text) {
+        const key = this.speller.key ? this.speller.key.name : 'C';
+        const { chords, warnings } = parseProgression(text, this.tonnetz, { key });
+        const triangles = this.engine.routeProgression(chords);
+        
+        this.stopSequencer();
+        this.sequencer.clear();
+        chords.forEach((chord, index) => {
+            const triangle = triangles[index];
+            if (!triangle) {
+                warnings.push(`${chord.text} left out: it isn't on the grid`);
+                return;
+            }
+            this.sequencer.addStep(triangle, chord.beats || this.newStepBeats, triangle.center);
+        });
+        this.updateSequencer();
+        this.animateSequencePath();
+        this.startSequencer();
+        return warnings;
+    }
+
+    // List the steps as buttons; clicking one cycles its length
+    updateSequenceSteps(activeIndex) {
+        if (!this.ui) return;
+        const list = document.getElementById('sequence-steps');
+        list.innerHTML = '';
+        
+        this.sequencer.steps.forEach((step, index) => {
+            const name = this.spellTriangle(step.triangle);
+            
+            const button = document.createElement('button');
+            button.className = index === activeIndex ? 'sequence-step active' : 'sequence-step';
+            button.textContent = `${name} · ${Math.round(step.beats * 100) / 100}`;
+            button.title = 'Click to change the length (beats)';
+            button.addEventListener('click', () => {
+                const next = this.stepLengths[(this.stepLengths.indexOf(step.beats) + 1) % this.stepLengths.length];
+                this.sequencer.setStepBeats(index, next);
+                this.updateSequenceSteps(activeIndex);
+            });
+            list.appendChild(button);
+        });
+        
+        if (this.sequencer.steps.length === 0) {
+            list.textContent = 'Click triangles to add chords';
+        }
+    }
+
+    // Draw the loop as a closed line through the step centers
+    updateSequencePath() {
+        if (this.sequencePath) {
+            this.scene.remove(this.sequencePath);
+            this.sequencePath.geometry.dispose();
+            this.sequencePath = null;
+        }
+        
+        const steps = this.sequencer.steps;
+        if (steps.length < 2) return;
+        
+        const points = steps.map((step) => {
+            // Copies only exist in wrap mode
+            const point = this.tonnetz.wrap ? step.position : step.triangle.center;
+            return new THREE.Vector3(point.x, 0.15, point.z);
+        });
+        // Back to the start (drawn as a line rather than a LineLoop, so
+        // animateSequencePath can draw it in)
+        points.push(points[0].clone());
+        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        this.sequencePath = new THREE.Line(geometry, this.sequencePathMaterial);
+        this.scene.add(this.sequencePath);
+    }
+
+    // Draw the loop's path in from its first step, one segment every
+    // pathSegmentTime ms
+    animateSequencePath() {
+        if (!this.sequencePath) return;
+        const positions = this.sequencePath.geometry.attributes.position;
+        this.pathAnimation = { path: this.sequencePath, start: performance.now(), points: positions.array.slice() };
+        this.updatePathAnimation();
+    }
+
+    updatePathAnimation() {
+        const animation = this.pathAnimation;
+        if (!animation) return;
+        // The path was redrawn (steps changed)
+        if (animation.path !== this.sequencePath) {
+            this.pathAnimation = null;
+            return;
+        }
+        
+        const geometry = this.sequencePath.geometry;
+        const positions = geometry.attributes.position;
+        const segments = positions.count - 1;
+        const progress = (performance.now() - animation.start) / this.pathSegmentTime;
+        positions.array.set(animation.points);
+        
+        if (progress >= segments) {
+            geometry.setDrawRange(0, Infinity);
+            this.pathAnimation = null;
+        } else {
+            // The end of the current segment slides out from its start
+            const segment = Math.floor(progress);
+            const t = progress - segment;
+            for (let i = segment * 3; i < segment * 3 + 3; i++) {
+                positions.array[i + 3] = animation.points[i] + (animation.points[i + 3] - animation.points[i]) * t;
+            }
+            geometry.setDrawRange(0, segment + 2);
+        }
+        positions.needsUpdate = true;
+    }
+
+    showSequencerStep(index) {
+        const step = this.sequencer.steps[index];
+        if (!step) return;
+        this.highlightTriangle(step.triangle, this.sequenceColor);
+        this.updateSequenceSteps(index);
+    }
+
+    // JSON values kept in localStorage between visits
+    loadStored(key, fallback) {
+        try {
+            const value = JSON.parse(localStorage.getItem(key));
+            return value !== null ? value : fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    saveStored(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            // Storage full or disabled; the value just won't persist
+        }
+    }
 
-        // Create player
-        this.createPlayer();
+    // Levels from a JSON file: one level, a list, or { levels: [...] }
+    loadPuzzleFile(text) {
+        const status = document.getElementById('puzzle-status');
+        try {
+            const data = JSON.parse(text);
+            const levels = Array.isArray(data) ? data : (data.levels || [data]);
+            levels.forEach(level => validatePuzzleLevel(level, this.tonnetz));
+            
+            // A level with the same id replaces the earlier copy
+            levels.forEach((level) => {
+                this.customLevels = this.customLevels.filter(other => other.id !== level.id);
+                this.customLevels.push(level);
+            });
+            status.textContent = levels.length === 1 ? 'Loaded 1 level' : `Loaded ${levels.length} levels`;
+        } catch (error) {
+            status.textContent = `Couldn't load levels: ${error.message}`;
+        }
+        this.updatePuzzleLevels();
+    }
 
-        // Add ground
-        this.createGround();
+    // Keep the address bar pointing at the current session, so a refresh
+    // or a copy of the link reopens it
+    saveSessionToUrl() {
+        const hash = '#' + encodeSessionHash(this.getSession());
+        if (hash !== location.hash) {
+            history.replaceState(null, '', hash);
+        }
     }
 
-    addLights() {
-        // Ambient light
-        const ambientLight = new THREE.AmbientLight(0x404040, 0.5);
-        this.scene.add(ambientLight);
+    // Open a session on the page, reloading it when the session is for
+    // another grid size
+    openSession(session) {
+        if (!this.loadSession(session)) {
+            clearInterval(this.sessionTimer);
+            location.hash = encodeSessionHash(session);
+            location.reload();
+        }
+    }
 
-        // Directional light (sun)
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(10, 20, 10);
-        directionalLight.castShadow = true;
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
-        directionalLight.shadow.camera.near = 0.5;
-        directionalLight.shadow.camera.far = 50;
-        directionalLight.shadow.camera.left = -30;
-        directionalLight.shadow.camera.right = 30;
-        directionalLight.shadow.camera.top = 30;
-        directionalLight.shadow.camera.bottom = -30;
-        this.scene.add(directionalLight);
+    copySessionLink() {
+        const status = document.getElementById('session-status');
+        this.saveSessionToUrl();
+        if (!navigator.clipboard) {
+            status.textContent = 'Copy the link from the address bar';
+            return;
+        }
+        navigator.clipboard.writeText(location.href)
+            .then(() => {
+                status.textContent = 'Link copied';
+            })
+            .catch(() => {
+                status.textContent = 'Copy the link from the address bar';
+            });
+    }
 
-        // Point light for player glow
-        this.playerLight = new THREE.PointLight(0x4ecdc4, 1, 10);
-        this.playerLight.position.set(0, 2, 0);
-        this.scene.add(this.playerLight);
+    saveSessionFile() {
+        const json = JSON.stringify(this.getSession(), null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'tonnetz-session.json');
     }
 
-    createGround() {
-        const groundGeometry = new THREE.PlaneGeometry(100, 100);
-        const groundMaterial = new THREE.MeshStandardMaterial({
-            color: 0x16213e,
-            roughness: 0.8,
-            metalness: 0.2
-        });
-        const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-        ground.rotation.x = -Math.PI / 2;
-        ground.position.y = -0.1;
-        ground.receiveShadow = true;
-        this.scene.add(ground);
+    loadSessionFile(text) {
+        const status = document.getElementById('session-status');
+        try {
+            this.openSession(validateSession(JSON.parse(text)));
+            status.textContent = 'Session loaded';
+        } catch (error) {
+            status.textContent = `Couldn't load session: ${error.message}`;
+        }
     }
 
-    createTonnetzGrid() {
-        const triHeight = this.tonnetz.triangleSize * Math.sqrt(3) / 2;
-        
-        // Center offset
-        const offsetX = -(this.tonnetz.gridWidth * this.tonnetz.triangleSize) / 2;
-        const offsetZ = -(this.tonnetz.gridHeight * triHeight) / 2;
-
-        this.tonnetz.triangles.forEach((triangle, index) => {
-            // First, apply offset to triangle vertices for collision detection
-            triangle.center.x += offsetX;
-            triangle.center.z += offsetZ;
-            triangle.vertices = triangle.vertices.map(v => ({
-                x: v.x + offsetX,
-                z: v.z + offsetZ,
-                pitchClass: v.pitchClass,
-                noteName: v.noteName
-            }));
+    // Join a jam room: { url, room, name, color, mode }. url is the relay's
+    // ws:// address; the local sphere takes color so it looks the same to
+    // everyone.
+    joinJam({ url, room, name = '', color = this.playerColor, mode = this.jamMode }) {
+        this.setJamMode(mode);
+        this.setPlayerColor(color);
+        this.jamMessage = null;
+        this.jam.connect(url, room, name, color);
+    }
 
-            // Create triangle geometry using the offset vertices
-            // Note: Shape uses (x, y) but after rotation -PI/2 around X, y becomes -z
-            // So we use -z for the shape's y coordinate to match world space
-            const shape = new THREE.Shape();
-            shape.moveTo(triangle.vertices[0].x, -triangle.vertices[0].z);
-            shape.lineTo(triangle.vertices[1].x, -triangle.vertices[1].z);
-            shape.lineTo(triangle.vertices[2].x, -triangle.vertices[2].z);
-            shape.lineTo(triangle.vertices[0].x, -triangle.vertices[0].z);
+    leaveJam() {
+        this.jam.disconnect();
+    }
 
-            const geometry = new THREE.ShapeGeometry(shape);
-            
-            // Color based on chord type
-            const hue = triangle.type === 'major' ? 0.55 : 0.75; // Cyan for major, purple for minor
-            const saturation = 0.7;
-            const lightness = 0.3;
-            
-            const material = new THREE.MeshStandardMaterial({
-                color: new THREE.Color().setHSL(hue, saturation, lightness),
-                roughness: 0.6,
-                metalness: 0.3,
-                transparent: true,
-                opacity: 0.7,
-                side: THREE.DoubleSide
-            });
-
-            const mesh = new THREE.Mesh(geometry, material);
-            mesh.rotation.x = -Math.PI / 2;
-            mesh.position.y = 0.01;
-            mesh.userData = { triangleIndex: index };
-            
-            this.scene.add(mesh);
-            this.triangleMeshes.push(mesh);
-
-            // Add edge lines
-            const edgeGeometry = new THREE.BufferGeometry();
-            const vertices = new Float32Array([
-                triangle.vertices[0].x, 0.02, triangle.vertices[0].z,
-                triangle.vertices[1].x, 0.02, triangle.vertices[1].z,
-                triangle.vertices[1].x, 0.02, triangle.vertices[1].z,
-                triangle.vertices[2].x, 0.02, triangle.vertices[2].z,
-                triangle.vertices[2].x, 0.02, triangle.vertices[2].z,
-                triangle.vertices[0].x, 0.02, triangle.vertices[0].z
-            ]);
-            edgeGeometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
-            
-            const edgeMaterial = new THREE.LineBasicMaterial({ 
-                color: 0xffffff,
-                opacity: 0.3,
-                transparent: true
-            });
-            const edges = new THREE.LineSegments(edgeGeometry, edgeMaterial);
-            this.scene.add(edges);
-        });
+    // The relay serves the game too, so a page it served connects back to
+    // the same address; otherwise assume a relay on this machine
+    getDefaultRelayUrl() {
+        if (location.protocol === 'http:' || location.protocol === 'https:') {
+            return (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host;
+        }
+        return 'ws://localhost:8080';
+    }
 
-        // Add note labels at grid vertices
-        this.addNoteLabels();
+    setPlayerColor(color) {
+        this.player.material.color.setHex(color);
+        this.player.material.emissive.setHex(color);
     }
 
-    addNoteLabels() {
-        console.log('addNoteLabels called');
-        // Collect unique vertices from all triangles (already have offset applied)
-        // Each vertex now has its noteName stored directly
-        const vertexMap = new Map();
+    // 'combined' or 'voices'; chords already sounding switch over
+    setJamMode(mode) {
+        if ((mode !== 'combined' && mode !== 'voices') || mode === this.jamMode) return;
+        this.jamMode = mode;
+        if (this.jam.players.size === 0) return;
         
-        this.tonnetz.triangles.forEach((triangle) => {
-            triangle.vertices.forEach((v) => {
-                // Round to avoid floating point issues
-                const key = `${v.x.toFixed(2)},${v.z.toFixed(2)}`;
-                if (!vertexMap.has(key)) {
-                    vertexMap.set(key, { x: v.x, z: v.z, noteName: v.noteName });
+        this.audioSystem.stopChord();
+        this.audioSystem.releaseHeldChords('peer:');
+        if (mode === 'combined') {
+            this.playJamChord();
+        } else {
+            const chord = this.engine.currentChord;
+            if (chord) {
+                this.audioSystem.playChord(this.engine.currentNotes, this.engine.currentFrequencies);
+            }
+            this.jamPitchClasses = chord ? chord.pitchClasses.slice() : [];
+            this.jam.players.forEach(player => this.updateJamSound(player));
+        }
+    }
+
+    // Draw and sound the other players in a jam
+    handleJamEvent({ type, status, message, player }) {
+        switch (type) {
+            case 'join': {
+                const material = new THREE.MeshStandardMaterial({
+                    color: player.color,
+                    roughness: 0.3,
+                    metalness: 0.7,
+                    emissive: player.color,
+                    emissiveIntensity: 0.2
+                });
+                const sphere = new THREE.Mesh(this.player.geometry, material);
+                sphere.position.y = this.playerRadius;
+                sphere.castShadow = true;
+                // Hidden until the player's first position arrives
+                sphere.visible = false;
+                this.scene.add(sphere);
+                this.jamSpheres.set(player.id, sphere);
+                break;
+            }
+            case 'leave': {
+                const sphere = this.jamSpheres.get(player.id);
+                this.scene.remove(sphere);
+                sphere.material.dispose();
+                this.jamSpheres.delete(player.id);
+                this.updateJamSound(player);
+                break;
+            }
+            case 'chord':
+                this.updateJamSound(player);
+                break;
+            case 'status':
+                this.jamMessage = message;
+                if (status === 'closed') {
+                    this.setPlayerColor(this.playerColor);
+                }
+                break;
+        }
+        if (this.ui) {
+            this.updateJamPanel();
+        }
+    }
+
+    // Pitch classes of the local chord, then any others the jam's players
+    // are holding
+    getJamPitchClasses() {
+        const chord = this.engine.currentChord;
+        const pitchClasses = chord ? chord.pitchClasses.slice() : [];
+        this.jam.players.forEach((player) => {
+            (player.chord ? player.chord.pitchClasses : []).forEach((pitchClass) => {
+                if (!pitchClasses.includes(pitchClass)) {
+                    pitchClasses.push(pitchClass);
                 }
             });
         });
+        return pitchClasses;
+    }
+
+    // Combined jam sound: the local chord plus the other players' notes,
+    // voiced as one chord (the local chord as voiced when nobody adds any)
+    playJamChord() {
+        const chord = this.engine.currentChord;
+        const pitchClasses = this.getJamPitchClasses();
+        this.jamPitchClasses = pitchClasses;
+        if (pitchClasses.length === 0) return;
+        if (chord && pitchClasses.length === chord.pitchClasses.length) {
+            this.audioSystem.playChord(this.engine.currentNotes, this.engine.currentFrequencies);
+            return;
+        }
+        
+        if (this.jamVoicing.strategy !== this.engine.voicing.strategy) {
+            this.jamVoicing.setStrategy(this.engine.voicing.strategy);
+        }
+        const notes = this.jamVoicing.voice(pitchClasses);
+        this.audioSystem.playChord(notes, this.engine.tuning.frequenciesFor(notes, chord ? chord.triangles : []));
+    }
+
+    // Sound a change in another player's chord (or their leaving)
+    updateJamSound(player) {
+        if (this.jamMode === 'combined') {
+            const pitchClasses = this.getJamPitchClasses();
+            if (pitchClasses.join() === this.jamPitchClasses.join()) return;
+            this.audioSystem.stopChord();
+            this.playJamChord();
+        } else if (player.chord && this.jam.players.has(player.id)) {
+            const notes = player.chord.notes;
+            this.audioSystem.holdChord(`peer:${player.id}`, notes, this.engine.tuning.frequenciesFor(notes));
+        } else {
+            this.audioSystem.releaseHeldChord(`peer:${player.id}`);
+        }
+    }
+
+    // Send the local sphere and chord to the room, and move the other
+    // players' spheres
+    updateJam() {
+        if (this.jam.status !== 'open') return;
+        const now = performance.now();
+        const { position } = this.engine;
+        this.jam.sendState({
+            x: Math.round(position.x * 100) / 100,
+            z: Math.round(position.z * 100) / 100,
+            chord: this.jamChord
+        }, now);
         
-        console.log('Vertex map size:', vertexMap.size);
-        // Log first few entries
-        let count = 0;
-        vertexMap.forEach(({ x, z, noteName }) => {
-            if (count < 3) {
-                console.log('Vertex:', x, z, 'noteName:', noteName);
+        this.jam.players.forEach((player) => {
+            const sphere = this.jamSpheres.get(player.id);
+            const interpolated = this.jam.getPosition(player, now);
+            sphere.visible = interpolated !== null;
+            if (interpolated) {
+                sphere.position.x = interpolated.x;
+                sphere.position.z = interpolated.z;
             }
-            count++;
         });
+    }
+
+    updateJamPanel() {
+        const status = document.getElementById('jam-status');
+        const list = document.getElementById('jam-players');
+        document.getElementById('jam-join-btn').textContent = this.jam.status === 'closed' ? 'Join' : 'Leave';
+        
+        if (this.jam.status === 'connecting') {
+            status.textContent = 'Connecting…';
+        } else if (this.jam.status === 'open') {
+            const others = this.jam.players.size;
+            status.textContent = `Room ${this.jam.room}: ` +
+                (others === 0 ? 'waiting for others' : `${others + 1} playing`);
+        } else {
+            status.textContent = this.jamMessage || '';
+        }
         
-        // Create sprites at each unique vertex
-        vertexMap.forEach(({ x, z, noteName }) => {
-            const sprite = this.createTextSprite(noteName);
-            sprite.position.set(x, 1.5, z);
-            sprite.scale.set(1.5, 0.75, 1);
-            this.scene.add(sprite);
+        list.innerHTML = '';
+        this.jam.players.forEach((player) => {
+            const line = document.createElement('div');
+            const swatch = document.createElement('span');
+            swatch.className = 'jam-swatch';
+            swatch.style.background = '#' + player.color.toString(16).padStart(6, '0');
+            const label = document.createElement('span');
+            label.textContent = `${player.name}: ${player.chord ? player.chord.name : '--'}`;
+            line.appendChild(swatch);
+            line.appendChild(label);
+            list.appendChild(line);
         });
     }
 
-    createTextSprite(text) {
-        const canvas = document.createElement('canvas');
-        canvas.width = 128;
-        canvas.height = 64;
-        const context = canvas.getContext('2d');
-        
-        // Draw rounded background
-        context.fillStyle = 'rgba(0, 0, 0, 0.8)';
-        const radius = 10;
-        context.beginPath();
-        context.roundRect(4, 4, canvas.width - 8, canvas.height - 8, radius);
-        context.fill();
+    // One row per action, with two keys and a gamepad button; click one to
+    // rebind it
+    updateBindingTable() {
+        const table = document.getElementById('binding-table');
+        table.innerHTML = '';
+        const slots = [['keyboard', 0], ['keyboard', 1], ['gamepad', 0]];
         
-        // Draw text with shadow for better readability
-        context.font = 'bold 36px Arial';
-        context.textAlign = 'center';
-        context.textBaseline = 'middle';
+        INPUT_ACTIONS.forEach((action) => {
+            const row = document.createElement('tr');
+            const label = document.createElement('td');
+            label.textContent = action.label;
+            row.appendChild(label);
+            
+            slots.forEach(([device, slot]) => {
+                const capture = this.bindingCapture;
+                const capturing = capture && capture.action === action.id &&
+                    capture.device === device && capture.slot === slot;
+                const input = (this.input.bindings[device][action.id] || [])[slot];
+                
+                const button = document.createElement('button');
+                button.className = capturing ? 'binding-btn active' : 'binding-btn';
+                button.textContent = capturing ? (device === 'gamepad' ? 'Press a button' : 'Press a key')
+                    : this.input.describe(device, input);
+                button.addEventListener('click', () => this.startBindingCapture(device, action.id, slot));
+                
+                const cell = document.createElement('td');
+                cell.appendChild(button);
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+    }
+
+    // Wait for the key or gamepad button to bind to an action's slot
+    startBindingCapture(device, action, slot) {
+        this.bindingCapture = { device, action, slot };
+        this.input.onCapture = device === 'gamepad' ? (button => this.finishBindingCapture(button)) : null;
+        this.input.releaseKeys();
+        this.updateBindingTable();
+    }
+
+    // A key pressed while rebinding: Escape cancels, Backspace clears the
+    // slot, and any other key is the new binding
+    captureBinding(key) {
+        if (key === 'escape') {
+            this.cancelBindingCapture();
+        } else if (key === 'backspace' || key === 'delete') {
+            this.finishBindingCapture(null);
+        } else if (this.bindingCapture.device === 'keyboard') {
+            this.finishBindingCapture(key);
+        }
+    }
+
+    finishBindingCapture(input) {
+        const { device, action, slot } = this.bindingCapture;
+        this.bindingCapture = null;
+        this.input.onCapture = null;
+        this.input.setBinding(device, action, slot, input);
+        this.saveStored(this.inputSettingsKey, this.input.getSettings());
+        this.updateBindingTable();
+    }
+
+    cancelBindingCapture() {
+        this.bindingCapture = null;
+        this.input.onCapture = null;
+        this.updateBindingTable();
+    }
+
+    updateGamepadStatus() {
+        const name = this.input.getGamepadName();
+        document.getElementById('gamepad-status').textContent = name ? `🎮 ${name}` : 'No gamepad connected';
+    }
+
+    // Show the current instrument's settings on the sliders
+    updateSoundPanel() {
+        const soundPanel = document.getElementById('sound-panel');
+        soundPanel.querySelectorAll('input[data-param]').forEach((slider) => {
+            slider.value = this.audioSystem.instrument.get(slider.dataset.param);
+        });
+        soundPanel.querySelectorAll('input[data-effect]').forEach((slider) => {
+            slider.value = this.audioSystem.effects[slider.dataset.effect];
+        });
+    }
+
+    // Show the current settings on the page's controls (after loading a
+    // session)
+    updateControls() {
+        const set = (id, value) => {
+            document.getElementById(id).value = value;
+        };
+        set('instrument-select', this.audioSystem.instrument.presetName);
+        set('volume-slider', Math.round(this.audioSystem.volume * 100));
+        set('voicing-select', this.engine.voicing.strategy);
+        set('harmony-select', this.engine.harmonyLayer);
+        const keyIndex = this.speller.getKeys().findIndex(key => this.speller.key && key.name === this.speller.key.name);
+        set('key-select', keyIndex >= 0 ? keyIndex : 'auto');
         
-        // Text shadow
-        context.fillStyle = '#000000';
-        context.fillText(text, canvas.width / 2 + 2, canvas.height / 2 + 2);
+        const tuning = this.engine.tuning;
+        document.querySelector('#tuning-select option[value="scale"]').disabled = !tuning.scale;
+        set('tuning-select', tuning.mode);
+        set('tuning-tonic', tuning.tonic);
         
-        // Main text
-        context.fillStyle = '#ffffff';
-        context.fillText(text, canvas.width / 2, canvas.height / 2);
+        set('sequencer-tempo', this.sequencer.tempo);
+        set('sequencer-pattern', this.sequencer.pattern);
+        set('sequencer-rate', this.sequencer.rate);
+        set('sequencer-swing', Math.round(this.sequencer.swing * 100));
+        this.updateSoundPanel();
+    }
+
+    // Level select: one button per level with its best stars
+    updatePuzzleLevels() {
+        const list = document.getElementById('puzzle-levels');
+        list.innerHTML = '';
         
-        const texture = new THREE.CanvasTexture(canvas);
-        texture.minFilter = THREE.LinearFilter;
-        const material = new THREE.SpriteMaterial({ 
-            map: texture,
-            transparent: true,
-            depthTest: false
+        PUZZLE_LEVELS.concat(this.customLevels).forEach((level) => {
+            const best = this.puzzleProgress[level.id];
+            const stars = best ? best.stars : 0;
+            
+            const button = document.createElement('button');
+            button.className = 'puzzle-level';
+            button.textContent = `${'★'.repeat(stars)}${'☆'.repeat(3 - stars)} ${level.title}`;
+            button.title = best
+                ? `${level.description || ''} Best: ${best.score} points`
+                : level.description || '';
+            button.addEventListener('click', () => {
+                this.startPuzzle(level);
+            });
+            list.appendChild(button);
         });
-        
-        return new THREE.Sprite(material);
     }
 
-    createPlayer() {
-        // Create player sphere
-        const geometry = new THREE.SphereGeometry(this.playerRadius, 32, 32);
-        const material = new THREE.MeshStandardMaterial({
-            color: 0xff6b6b,
-            roughness: 0.3,
-            metalness: 0.7,
-            emissive: 0xff6b6b,
-            emissiveIntensity: 0.2
-        });
+    startPuzzle(level) {
+        if (!this.tonnetz.usesThirdsAndFifths()) {
+            this.setLattice({ intervals: [3, 4, 5] });
+        }
+        let session;
+        try {
+            validatePuzzleLevel(level, this.tonnetz);
+            session = new PuzzleSession(level, this.tonnetz, triangle => this.spellTriangle(triangle));
+        } catch (error) {
+            document.getElementById('puzzle-status').textContent = error.message;
+            return;
+        }
         
-        this.player = new THREE.Mesh(geometry, material);
-        this.player.position.set(0, this.playerRadius, 0);
-        this.player.castShadow = true;
-        this.player.receiveShadow = true;
+        // Place the sphere on the nearest start triangle before the clock
+        // starts, so getting there isn't a move
+        this.puzzle = null;
+        if (level.movement) {
+            this.setMovementMode(level.movement === 'discrete' ? 'discrete' : 'free');
+        }
+        const { x, z } = this.engine.position;
+        const start = this.engine.findNearestTriangle(x, z, triangle => session.isStart(triangle));
+        this.engine.moveToTriangle(start);
         
-        this.scene.add(this.player);
+        this.puzzle = session;
+        session.begin(performance.now(), start);
+        this.updatePuzzle();
     }
 
-    setupEventListeners() {
-        // Keyboard events
-        document.addEventListener('keydown', (e) => {
-            const key = e.key.toLowerCase();
-            if (this.keys.hasOwnProperty(key)) {
-                this.keys[key] = true;
-            }
-        });
+    quitPuzzle() {
+        this.puzzle = null;
+        this.updatePuzzle();
+    }
 
-        document.addEventListener('keyup', (e) => {
-            const key = e.key.toLowerCase();
-            if (this.keys.hasOwnProperty(key)) {
-                this.keys[key] = false;
+    // Refresh the HUD and tints after a move, and save a new best result
+    updatePuzzle() {
+        const session = this.puzzle;
+        if (session && session.status === 'solved' && !session.saved) {
+            session.saved = true;
+            const best = this.puzzleProgress[session.level.id];
+            if (!best || session.score > best.score) {
+                this.puzzleProgress[session.level.id] = { score: session.score, stars: session.stars };
+                this.saveStored(this.puzzleProgressKey, this.puzzleProgress);
             }
-        });
+            this.updatePuzzleLevels();
+        }
+        this.updateTints();
+        this.updatePuzzleHud();
+    }
 
-        // Window resize
-        window.addEventListener('resize', () => {
-            const aspect = window.innerWidth / window.innerHeight;
-            this.camera.left = this.frustumSize * aspect / -2;
-            this.camera.right = this.frustumSize * aspect / 2;
-            this.camera.top = this.frustumSize / 2;
-            this.camera.bottom = this.frustumSize / -2;
-            this.camera.updateProjectionMatrix();
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
-        });
+    updatePuzzleHud() {
+        const hud = document.getElementById('puzzle-hud');
+        const session = this.puzzle;
+        if (!session) {
+            hud.style.display = 'none';
+            return;
+        }
+        hud.style.display = 'block';
+        
+        const now = performance.now();
+        const limits = session.level.moves || {};
+        const limit = limits.exact || limits.max;
+        const parts = [`Moves ${session.moves}${limit ? ' / ' + limit : ''}`];
+        const timeLeft = session.timeLeft(now);
+        if (timeLeft !== null) {
+            const seconds = Math.ceil(timeLeft);
+            parts.push(`Time ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+        }
+        
+        const targets = session.describeTargets()
+            .map(target => (target.reached ? `✓${target.label}` : target.label))
+            .join(session.goal === 'sequence' ? ' → ' : '  ');
+        
+        let result = '';
+        if (session.status === 'solved') {
+            result = `${session.message} ${'★'.repeat(session.stars)}${'☆'.repeat(3 - session.stars)} ${session.score} points`;
+        } else if (session.status === 'failed') {
+            result = session.message;
+        }
+        
+        hud.querySelector('.puzzle-title').textContent = session.level.title;
+        hud.querySelector('.puzzle-description').textContent = session.level.description || '';
+        hud.querySelector('.puzzle-stats').textContent = parts.join('   ');
+        hud.querySelector('.puzzle-targets').textContent = targets;
+        hud.querySelector('.puzzle-result').textContent = result;
+        hud.querySelector('.puzzle-result').style.color = session.status === 'solved' ? '#4ecdc4' : '#ff6b6b';
+    }
 
-        // Touch events for mobile
-        this.renderer.domElement.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            this.handleTouch(e.touches[0]);
+    // Gold for puzzle targets still to reach, dark red for forbidden
+    // chords; otherwise the chosen key's chords are shaded by function
+    updateTints() {
+        const session = this.puzzle;
+        this.tonnetz.triangles.forEach((triangle) => {
+            const keyFunction = this.engine.getKeyFunction(triangle);
+            if (session && session.isForbidden(triangle)) {
+                this.gridRenderer.setTint(triangle, this.puzzleColors.forbidden);
+            } else if (session && session.isPendingTarget(triangle)) {
+                this.gridRenderer.setTint(triangle, this.puzzleColors.target);
+            } else if (keyFunction) {
+                const color = this.gridRenderer.triangleColors[triangle.type].clone()
+                    .lerp(new THREE.Color(this.functionColors[keyFunction]), this.keyShade);
+                this.gridRenderer.setTint(triangle, color.getHex());
+            } else {
+                this.gridRenderer.setTint(triangle, null);
+            }
         });
+    }
 
-        this.renderer.domElement.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            this.handleTouch(e.touches[0]);
-        });
+    startTraining(kind) {
+        this.trainingKind = kind;
+        document.getElementById('training-start-btn').textContent = '⏹ Stop';
+        document.getElementById('training-feedback').textContent = '';
+        this.askQuestion();
+    }
 
-        this.renderer.domElement.addEventListener('touchend', (e) => {
-            e.preventDefault();
-            this.touchActive = false;
-        });
+    stopTraining() {
+        this.trainingKind = null;
+        this.trainer.question = null;
+        clearTimeout(this.nextQuestionTimer);
+        document.getElementById('training-start-btn').textContent = '▶ Start';
+        document.getElementById('training-prompt').textContent = '';
+    }
 
-        // Start button
-        const startBtn = document.getElementById('start-btn');
-        const overlay = document.getElementById('start-overlay');
-        
-        // Show appropriate controls based on device
-        const desktopControls = document.getElementById('desktop-controls');
-        const mobileControls = document.getElementById('mobile-controls');
-        if (this.isMobile && mobileControls && desktopControls) {
-            desktopControls.style.display = 'none';
-            mobileControls.style.display = 'inline';
+    askQuestion() {
+        clearTimeout(this.nextQuestionTimer);
+        const prompt = document.getElementById('training-prompt');
+        const question = this.trainer.ask(this.trainingKind, this.engine.currentTriangle, performance.now());
+        if (!question) {
+            prompt.textContent = 'Roll onto a triangle first';
+            this.nextQuestionTimer = setTimeout(() => this.askQuestion(), 1500);
+            return;
         }
+        prompt.textContent = question.kind === 'transform'
+            ? 'From here, the chord moved by P, L or R. Roll onto the new chord.'
+            : 'Find this chord on the grid.';
+        this.playQuestion();
+    }
+
+    // Play the hidden chord (for a move: the chord under the sphere, then
+    // the hidden one)
+    playQuestion() {
+        const question = this.trainer.question;
+        if (!question || !this.audioSystem.initialized) return;
         
-        startBtn.addEventListener('click', () => {
-            this.audioSystem.init();
-            overlay.style.display = 'none';
+        this.audioSystem.stopChord();
+        this.trainingVoicing.reset();
+        const start = this.audioSystem.audioContext.currentTime + 0.05;
+        const chords = question.from ? [question.from, question.target] : [question.target];
+        chords.forEach((triangle, index) => {
+            const notes = this.trainingVoicing.voice(triangle.pitchClasses);
+            const frequencies = this.engine.tuning.frequenciesFor(notes, [triangle]);
+            this.audioSystem.playNotesAt(notes, start + index * 1.2, 1, frequencies);
         });
+    }
+
+    // Answer with the triangle under the sphere, then ask the next question
+    submitAnswer() {
+        const question = this.trainer.question;
+        if (!question) return;
         
-        // Volume controls
-        const volumeSlider = document.getElementById('volume-slider');
-        const muteBtn = document.getElementById('mute-btn');
+        const label = question.kind === 'transform' ? question.operation : this.spellTriangle(question.target);
+        const result = this.trainer.answer(this.engine.currentTriangle, performance.now(), label);
+        this.saveStored(this.trainerStatsKey, this.trainer.stats);
         
-        volumeSlider.addEventListener('input', (e) => {
-            this.audioSystem.setVolume(parseInt(e.target.value));
-            // Update mute button icon if unmuting via slider
-            if (parseInt(e.target.value) > 0 && this.audioSystem.isMuted) {
-                this.audioSystem.setMuted(false);
-                muteBtn.textContent = '🔊';
-            }
-        });
+        const name = this.spellTriangle(question.target);
+        const answer = question.kind === 'transform' ? `${question.operation} (${name})` : name;
+        const feedback = document.getElementById('training-feedback');
+        feedback.textContent = result.correct
+            ? `✓ ${answer} in ${result.time.toFixed(1)} s`
+            : `✗ It was ${answer}`;
+        feedback.style.color = result.correct ? '#4ecdc4' : '#ff6b6b';
         
-        muteBtn.addEventListener('click', () => {
-            const isMuted = this.audioSystem.toggleMute();
-            muteBtn.textContent = isMuted ? '🔇' : '🔊';
-        });
+        this.updateTrainingStats();
+        this.nextQuestionTimer = setTimeout(() => this.askQuestion(), 1500);
     }
 
-    handleTouch(touch) {
-        // Convert touch position to 3D world coordinates
-        const rect = this.renderer.domElement.getBoundingClientRect();
-        const x = ((touch.clientX - rect.left) / rect.width) * 2 - 1;
-        const y = -((touch.clientY - rect.top) / rect.height) * 2 + 1;
-
-        // Create a raycaster to find the touch position in world space
-        const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera({ x, y }, this.camera);
-
-        // Create a plane at y=0 to intersect with
-        const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
-        const intersectPoint = new THREE.Vector3();
-        
-        if (raycaster.ray.intersectPlane(plane, intersectPoint)) {
-            this.touchActive = true;
-            this.touchTarget.x = intersectPoint.x;
-            this.touchTarget.z = intersectPoint.z;
+    updateTrainingStats() {
+        const summary = this.trainer.getSummary();
+        const stats = document.getElementById('training-stats');
+        if (summary.attempts === 0) {
+            stats.textContent = 'No answers yet';
+            return;
         }
+        const lines = [
+            `Accuracy ${Math.round(summary.accuracy * 100)}% (${summary.correct}/${summary.attempts})`,
+            `Average time ${summary.averageTime.toFixed(1)} s`
+        ];
+        if (summary.weakest.length > 0) {
+            lines.push('Practise: ' + summary.weakest
+                .map(entry => `${entry.label} ${entry.correct}/${entry.attempts}`)
+                .join(', '));
+        }
+        stats.textContent = lines.join(' · ');
     }
 
-    updatePlayer() {
-        // Touch controls (mobile)
-        if (this.touchActive) {
-            // Calculate direction from player to touch target
-            const dx = this.touchTarget.x - this.player.position.x;
-            const dz = this.touchTarget.z - this.player.position.z;
-            const distance = Math.sqrt(dx * dx + dz * dz);
-            
-            // Only move if touch is far enough from player
-            if (distance > 0.5) {
-                // Normalize and apply speed
-                this.velocity.x += (dx / distance) * this.playerSpeed * 1.5;
-                this.velocity.z += (dz / distance) * this.playerSpeed * 1.5;
-            }
-        } else {
-            // Keyboard controls (desktop)
-            if (this.keys.w) this.velocity.z -= this.playerSpeed;
-            if (this.keys.s) this.velocity.z += this.playerSpeed;
-            if (this.keys.a) this.velocity.x -= this.playerSpeed;
-            if (this.keys.d) this.velocity.x += this.playerSpeed;
+    connectMidi() {
+        const status = document.getElementById('midi-status');
+        if (!this.midi.supported) {
+            status.textContent = 'Web MIDI is not supported in this browser';
+            return;
         }
+        this.midi.connect()
+            .then(() => this.updateMidiPorts())
+            .catch(() => {
+                status.textContent = 'MIDI access was denied';
+            });
+    }
 
-        // Apply friction
-        this.velocity.x *= this.friction;
-        this.velocity.z *= this.friction;
-
-        // Update position
-        this.player.position.x += this.velocity.x;
-        this.player.position.z += this.velocity.z;
+    // Refill the port menus, keeping the current choices
+    updateMidiPorts() {
+        const fill = (select, ports, selected) => {
+            select.innerHTML = '';
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = 'None';
+            select.appendChild(none);
+            ports.forEach((port) => {
+                const option = document.createElement('option');
+                option.value = port.id;
+                option.textContent = port.name;
+                select.appendChild(option);
+            });
+            select.value = selected ? selected.id : '';
+        };
+        
+        const outputs = this.midi.getOutputs();
+        const inputs = this.midi.getInputs();
+        fill(document.getElementById('midi-output-select'), outputs, this.midi.output);
+        fill(document.getElementById('midi-input-select'), inputs, this.midi.input);
+        
+        document.getElementById('midi-status').textContent =
+            outputs.length + inputs.length > 0 ? '' : 'No MIDI devices found';
+    }
 
-        // Simple rotation based on movement
-        if (Math.abs(this.velocity.x) > 0.01 || Math.abs(this.velocity.z) > 0.01) {
-            this.player.rotation.x += this.velocity.z * 0.5;
-            this.player.rotation.z -= this.velocity.x * 0.5;
+    // 'equal', 'just' (pure intervals from the lattice) or 'scale' (the
+    // loaded Scala file)
+    setTuning(mode) {
+        this.engine.tuning.setMode(mode);
+        this.engine.retune();
+        if (this.ui) {
+            document.getElementById('tuning-select').value = mode;
         }
+    }
 
-        // Update player light position
-        this.playerLight.position.copy(this.player.position);
-        this.playerLight.position.y += 1;
-
-        // Check which triangle the player is in
-        this.checkPlayerPosition();
+    // Pitch class that keeps its equal-tempered pitch: the centre of just
+    // intonation and the first degree of a Scala scale
+    setTuningTonic(pitchClass) {
+        this.engine.tuning.setTonic(pitchClass);
+        this.engine.retune();
     }
 
-    checkPlayerPosition() {
-        const triangle = this.tonnetz.findTriangleAtPosition(
-            this.player.position.x,
-            this.player.position.z
-        );
+    loadScalaFile(text, fileName = 'scale') {
+        const status = document.getElementById('tuning-status');
+        try {
+            const scale = parseScala(text);
+            this.engine.tuning.setScale(scale);
+            document.querySelector('#tuning-select option[value="scale"]').disabled = false;
+            this.setTuning('scale');
+            status.textContent = `${scale.description || fileName} (${scale.ratios.length} notes)`;
+        } catch (error) {
+            status.textContent = `Couldn't load scale: ${error.message}`;
+        }
+    }
 
-        if (triangle !== this.currentTriangle) {
-            // Stop the previous chord when leaving a triangle
-            if (this.currentTriangle) {
-                this.audioSystem.stopChord();
-            }
-            
-            this.currentTriangle = triangle;
-            
-            if (triangle) {
-                // Highlight current triangle
-                this.highlightTriangle(triangle);
-                
-                // Play chord (sustained until we leave)
-                this.audioSystem.playChord(triangle.chord);
-                
-                // Update display
-                this.chordDisplay.textContent = triangle.chordName;
-                this.chordDisplay.style.color = triangle.type === 'major' ? '#4ecdc4' : '#a855f7';
-                
-                // Show vertex notes (which are the chord notes)
-                const noteNames = triangle.vertices.map(v => v.noteName).join(' - ');
-                this.notesDisplay.textContent = noteNames;
-            } else {
-                // Not on any triangle - clear highlight and display
-                this.highlightTriangle(null);
-                this.chordDisplay.textContent = '--';
-                this.chordDisplay.style.color = '#ff6b6b';
-                this.notesDisplay.textContent = 'Move to play chords';
-            }
+    setMovementMode(mode) {
+        this.engine.setMovementMode(mode);
+        if (this.ui) {
+            document.getElementById('plr-btn').classList.toggle('active', mode === 'discrete');
         }
     }
 
-    highlightTriangle(activeTriangle) {
-        this.triangleMeshes.forEach((mesh, index) => {
-            const triangle = this.tonnetz.triangles[index];
-            const isActive = triangle === activeTriangle;
-            
-            if (isActive) {
-                mesh.material.emissive = new THREE.Color(
-                    triangle.type === 'major' ? 0x4ecdc4 : 0xa855f7
-                );
-                mesh.material.emissiveIntensity = 0.5;
-                mesh.material.opacity = 1;
-            } else {
-                mesh.material.emissive = new THREE.Color(0x000000);
-                mesh.material.emissiveIntensity = 0;
-                mesh.material.opacity = 0.7;
-            }
+    updateLogDisplay() {
+        if (!this.logDisplay) return;
+        
+        const log = this.engine.transformationLog;
+        const entries = log.slice(-this.visibleLogEntries);
+        const truncated = entries.length < log.length;
+        
+        // e.g. "C → (R) Am → (L) F"
+        const text = entries.map((entry, index) => {
+            if (index === 0 && !truncated) return entry.chordName;
+            return `(${entry.operation}) ${entry.chordName}`;
+        }).join(' → ');
+        
+        this.logDisplay.textContent = truncated ? `… → ${text}` : text;
+        this.logDisplay.style.display = entries.length > 0 ? 'block' : 'none';
+    }
+
+    // Highlight one triangle (or several, e.g. a rhombus) in the given
+    // colour; pass null to clear the highlight. Only the triangles lit
+    // before and after are recoloured.
+    highlightTriangle(activeTriangles, color) {
+        let active = Array.isArray(activeTriangles) ? activeTriangles : [activeTriangles];
+        active = active.filter(Boolean);
+        
+        // Triangles under a pad finger stay lit
+        this.highlightedTriangles.forEach((triangle) => {
+            if (active.includes(triangle)) return;
+            this.gridRenderer.setHighlight(triangle, this.isPadHeld(triangle) ? this.padColor : null);
+        });
+        
+        active.forEach((triangle) => {
+            this.gridRenderer.setHighlight(triangle, color !== undefined ? color : this.qualityColors[triangle.type]);
         });
+        
+        this.highlightedTriangles = active;
+        this.highlightColor = color;
     }
 
     updateCamera() {
@@ -859,16 +5497,48 @@ class TonnetzGame {
     }
 
     animate() {
-        requestAnimationFrame(() => this.animate());
+        this.frameId = requestAnimationFrame(() => this.animate());
 
         this.updatePlayer();
         this.updateCamera();
+        this.updateWrapTiling();
+        this.updatePathAnimation();
+        this.updateExpression();
+        this.updateJam();
+        if (this.puzzle) {
+            this.puzzle.update(performance.now());
+            this.updatePuzzleHud();
+        }
 
         this.renderer.render(this.scene, this.camera);
     }
 }
 
-// Start the game when the page loads
-window.addEventListener('load', () => {
-    new TonnetzGame();
-});
+// Embed a game in container; see TonnetzGame for the options. The game's
+// on, off, moveTo, play, getSession, loadSession, importProgression,
+// setLattice, setPadMode, joinJam, leaveJam and destroy methods are its
+// public API.
+export function createTonnetz(container, options = {}) {
+    return new TonnetzGame(container, options);
+}
+
+// Start the full game when the game page (index.html) loads. Pages that
+// only want the classes (benchmark.html) set window.TONNETZ_NO_AUTOSTART
+// first; under Node (the tests) there is no page at all.
+if (typeof window !== 'undefined') {
+    window.addEventListener('load', () => {
+        const container = document.getElementById('game-container');
+        if (!container || window.TONNETZ_NO_AUTOSTART) return;
+        
+        // Reopen the session in the link (or from before a refresh)
+        let session = null;
+        try {
+            session = decodeSessionHash(location.hash);
+            if (session) validateSession(session);
+        } catch (error) {
+            console.warn(`Ignoring session link: ${error.message}`);
+            session = null;
+        }
+        createTonnetz(container, { ui: true, session });
+    });
+}
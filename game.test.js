@@ -0,0 +1,263 @@
+// Tests for the parts of game.js that need no page: run with `node --test`
+// (Node 20.19 or later)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MidiBridge, ProgressionSequencer, encodeSessionHash, decodeSessionHash, validateSession } from './game.js';
+import { TonnetzSystem, parseScala } from './tonnetz-core.js';
+
+// ============================================
+// SESSIONS
+// ============================================
+
+test('a session survives a round trip through a link', () => {
+    const session = {
+        version: 1,
+        grid: { width: 12, height: 8, wrap: true, intervals: [2, 3, 7], dual: false },
+        movement: 'discrete',
+        voicing: 'drop2',
+        harmony: 'rhombi',
+        key: 'Eb',
+        instrument: 'epiano',
+        volume: 45,
+        tuning: { mode: 'just', tonic: 7, scale: null },
+        path: [{ row: 4, col: 5, type: 'major' }, { row: 4, col: 5, type: 'minor' }],
+        sequencer: {
+            tempo: 96,
+            pattern: 'up',
+            rate: 0.5,
+            swing: 0.25,
+            steps: [{ row: 4, col: 5, type: 'major', beats: 2 }, { row: 3, col: 6, type: 'minor', beats: 1.5 }]
+        }
+    };
+    const decoded = decodeSessionHash('#' + encodeSessionHash(session));
+    assert.deepEqual(validateSession(decoded), session);
+});
+
+test('a link keeps a scale\'s name, its ratios exactly and its cents to 0.01', () => {
+    const scale = parseScala([
+        '! meantone-ish.scl',
+        'Just with one tempered fifth',
+        ' 4',
+        '9/8',
+        '5/4',
+        '696.578',
+        '2/1'
+    ].join('\n'));
+    const hash = encodeSessionHash({ tuning: { mode: 'scale', tonic: 0, scale } });
+    assert.match(hash, /scale=9\/8,5\/4,696.58,2\/1/);
+    
+    const decoded = decodeSessionHash('#' + hash).tuning.scale;
+    assert.equal(decoded.description, 'Just with one tempered fifth');
+    assert.deepEqual(decoded.ratios.slice(0, 3), [1, 9 / 8, 5 / 4]);
+    assert.equal(decoded.period, 2);
+    assert.ok(Math.abs(1200 * Math.log2(decoded.ratios[3]) - 696.578) < 0.01);
+});
+
+test('links from before exact ratios still open', () => {
+    const decoded = decodeSessionHash('#tuning=scale&scale=203.91,701.96,1200').tuning.scale;
+    assert.ok(Math.abs(decoded.ratios[2] - 1.5) < 1e-4);
+    assert.ok(Math.abs(decoded.period - 2) < 1e-9);
+});
+
+test('an empty hash holds no session', () => {
+    assert.equal(decodeSessionHash(''), null);
+    assert.equal(decodeSessionHash('#'), null);
+});
+
+test('links with values the game cannot use are refused', () => {
+    const refused = {
+        '#lattice=2.3.7&tuning=just&tonic=99': /tonic/,
+        '#tuning=just&tonic=2.5': /tonic/,
+        '#tuning=just&tonic=-1': /tonic/,
+        '#tuning=wobbly': /Tuning must be one of/,
+        '#vol=9999': /Volume must be between 0 and 100/,
+        '#vol=-5': /Volume/,
+        '#move=fly': /Movement must be one of/,
+        '#harmony=clusters': /Harmony must be one of/,
+        '#loop=4.5M*2&swing=0.9': /Swing must be between 0 and 0.5/,
+        '#loop=4.5M*2&tempo=5000': /Tempo/,
+        '#grid=100x8': /between 1 and 64/,
+        '#grid=12x8&lattice=3.4.6': /adding up to 12/
+    };
+    Object.entries(refused).forEach(([hash, message]) => {
+        assert.throws(() => validateSession(decodeSessionHash(hash)), message, hash);
+    });
+});
+
+test('session files are checked like links', () => {
+    assert.throws(() => validateSession({ volume: '50' }), /Volume/);
+    assert.throws(() => validateSession({ tuning: { mode: 'scale', scale: { ratios: ['x'], period: 2 } } }), /scale/);
+    assert.throws(() => validateSession({ path: [{ row: 1, col: 2, type: 'sus4' }] }), /bad lattice cell/);
+    assert.throws(() => validateSession({ version: 99 }), /newer/);
+    assert.doesNotThrow(() => validateSession({ volume: 0, tuning: { tonic: 11 }, sequencer: { swing: 0.5, steps: [] } }));
+});
+
+test('unreadable hashes throw an Error', () => {
+    assert.throws(() => decodeSessionHash('#vol=loud'), /Bad vol/);
+    assert.throws(() => decodeSessionHash('#path=4.5X'), /Bad lattice cell/);
+    assert.throws(() => decodeSessionHash('#loop=4.5M'), /length/);
+});
+
+// ============================================
+// MIDI
+// ============================================
+
+// A stand-in for what navigator.requestMIDIAccess resolves with: one
+// output that keeps what it's sent, and one input
+function mockMidiAccess() {
+    const output = { id: 'out-1', name: 'Synth', state: 'connected', sent: [], send(data) { this.sent.push(data); } };
+    const input = { id: 'in-1', name: 'Keyboard', state: 'connected', onmidimessage: null };
+    return {
+        output,
+        input,
+        outputs: new Map([[output.id, output]]),
+        inputs: new Map([[input.id, input]]),
+        onstatechange: null
+    };
+}
+
+async function connectedBridge() {
+    const access = mockMidiAccess();
+    const midi = new MidiBridge(() => Promise.resolve(access));
+    assert.equal(await midi.connect(), true);
+    return { midi, access };
+}
+
+test('MIDI is unsupported without requestMIDIAccess', async () => {
+    const midi = new MidiBridge();
+    assert.equal(midi.supported, false);
+    assert.equal(await midi.connect(), false);
+    assert.deepEqual(midi.getOutputs(), []);
+});
+
+test('chords go to the chosen output, each one ending the last', async () => {
+    const { midi, access } = await connectedBridge();
+    assert.deepEqual(midi.getOutputs().map(port => port.name), ['Synth']);
+    assert.deepEqual(midi.getInputs().map(port => port.name), ['Keyboard']);
+    
+    // Nothing is sent before an output is chosen
+    midi.handleAudioEvent({ type: 'play', notes: [60, 64, 67] });
+    midi.setOutput('out-1');
+    assert.deepEqual(access.output.sent, []);
+    
+    midi.handleAudioEvent({ type: 'play', notes: [60, 64, 67], velocity: null });
+    midi.handleAudioEvent({ type: 'play', notes: [60, 64, 69], velocity: 0.5 });
+    midi.handleAudioEvent({ type: 'stop' });
+    assert.deepEqual(access.output.sent, [
+        [0x90, 60, 90], [0x90, 64, 90], [0x90, 67, 90],
+        [0x80, 60, 0], [0x80, 64, 0], [0x80, 67, 0],
+        [0x90, 60, 64], [0x90, 64, 64], [0x90, 69, 64],
+        [0x80, 60, 0], [0x80, 64, 0], [0x80, 69, 0]
+    ]);
+});
+
+test('triads held on the input are reported in any inversion', async () => {
+    const { midi, access } = await connectedBridge();
+    const triads = [];
+    midi.onTriad = pitchClasses => triads.push(pitchClasses.slice().sort((a, b) => a - b));
+    midi.setInput('in-1');
+    const play = data => access.input.onmidimessage({ data });
+    
+    // E minor in first inversion: G3 B3 E4
+    play([0x90, 55, 100]);
+    play([0x90, 59, 100]);
+    assert.deepEqual(triads, []);
+    play([0x90, 64, 100]);
+    assert.deepEqual(triads, [[4, 7, 11]]);
+    
+    // A note-on with velocity 0 lets go; C E G is then C major
+    play([0x90, 59, 0]);
+    play([0x80, 55, 0]);
+    play([0x90, 60, 100]);
+    play([0x90, 67, 100]);
+    assert.deepEqual(triads, [[4, 7, 11], [0, 4, 7]]);
+    
+    // Not a major or minor triad
+    play([0x90, 66, 100]);
+    assert.equal(triads.length, 2);
+    
+    midi.setInput(null);
+    assert.equal(access.input.onmidimessage, null);
+});
+
+test('unplugged ports are forgotten', async () => {
+    const { midi, access } = await connectedBridge();
+    let changes = 0;
+    midi.onPortsChanged = () => changes++;
+    midi.setOutput('out-1');
+    midi.setInput('in-1');
+    
+    access.output.state = 'disconnected';
+    access.input.state = 'disconnected';
+    access.onstatechange();
+    assert.equal(midi.output, null);
+    assert.equal(midi.input, null);
+    assert.equal(access.input.onmidimessage, null);
+    assert.equal(changes, 1);
+});
+
+// ============================================
+// SEQUENCER
+// ============================================
+
+// An audio system whose clock only moves when told to, keeping the
+// notes booked on it
+function fakeAudio() {
+    return {
+        initialized: true,
+        audioContext: { currentTime: 0 },
+        booked: [],
+        playNotesAt(notes, time) { this.booked.push({ notes, time }); },
+        stopScheduled() {}
+    };
+}
+
+// A playing loop of C, Am and F, one beat each, stopped when the test ends
+function playingLoop(t, audio) {
+    const tonnetz = new TonnetzSystem();
+    const sequencer = new ProgressionSequencer(audio);
+    ['C', 'Am', 'F'].forEach((name) => {
+        sequencer.addStep(tonnetz.triangles.find(triangle => triangle.chordName === name), 1);
+    });
+    assert.equal(sequencer.start(), true);
+    t.after(() => sequencer.stop());
+    return sequencer;
+}
+
+test('the loop books its steps in order and comes round again', (t) => {
+    const audio = fakeAudio();
+    const sequencer = playingLoop(t, audio);
+    audio.audioContext.currentTime = 2.5;
+    sequencer.schedule();
+    assert.deepEqual(audio.booked.map(note => note.notes.length), [3, 3, 3, 3, 3]);
+    assert.deepEqual(audio.booked[3].notes, audio.booked[0].notes);
+});
+
+test('undoing the step due next keeps the loop playing from the top', (t) => {
+    const audio = fakeAudio();
+    const sequencer = playingLoop(t, audio);
+    
+    // C and Am are booked, F is next
+    audio.audioContext.currentTime = 0.7;
+    sequencer.schedule();
+    assert.equal(sequencer.nextIndex, 2);
+    
+    sequencer.removeLastStep();
+    assert.equal(sequencer.nextIndex, 0);
+    audio.audioContext.currentTime = 2.5;
+    assert.doesNotThrow(() => sequencer.schedule());
+    
+    const c = sequencer.steps[0].notes;
+    assert.deepEqual(audio.booked.slice(2).map(note => note.notes), [c, sequencer.steps[1].notes, c]);
+});
+
+test('undoing the last step stops the loop', (t) => {
+    const audio = fakeAudio();
+    const sequencer = playingLoop(t, audio);
+    sequencer.removeLastStep();
+    sequencer.removeLastStep();
+    assert.equal(sequencer.playing, true);
+    sequencer.removeLastStep();
+    assert.equal(sequencer.playing, false);
+});
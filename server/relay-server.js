@@ -0,0 +1,377 @@
+// Tonnetz jam relay
+// Serves the game and relays player positions and chords between the
+// players in each room, over WebSocket. Needs only Node (20.19 or later):
+//
+//   node server/relay-server.js [port]      (default 8080, or $PORT)
+//
+// then open http://<this machine>:<port>/ on every device and join the same
+// room code in the Jam panel.
+//
+// Messages are JSON text frames. From a player:
+//   { type: 'join', room, name, color }   once, first, within JOIN_TIMEOUT
+//   { type: 'state', state }              position and chord, any shape
+// To a player:
+//   { type: 'welcome', id, players }      players: [{ id, name, color, state }]
+//                                         already in the room
+//   { type: 'join', player }              someone joined
+//   { type: 'state', id, state }          someone moved or changed chord
+//   { type: 'leave', id }                 someone left
+//   { type: 'error', message }            join refused; the socket closes
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = parseInt(process.argv[2] || process.env.PORT || '8080', 10);
+
+const MAX_PLAYERS = 16;             // Per room
+const MAX_MESSAGE = 16 * 1024;      // Bytes; states are a few hundred
+const PING_INTERVAL = 20000;        // ms between pings; silent sockets are dropped
+const JOIN_TIMEOUT = 10000;         // ms to send 'join' before the socket is dropped
+
+// The game's own files, the only ones served: never the rest of the
+// checkout (.git, this server)
+const PUBLIC_FILES = new Set([
+    'index.html',
+    'game.js',
+    'tonnetz-core.js',
+    'benchmark.html',
+    'Neo-Riemannian_Tonnetz.png'
+]);
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json',
+    '.css': 'text/css',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// ============================================
+// WEBSOCKET - Just enough of RFC 6455 for text messages
+// ============================================
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 };
+
+// One player's connection. onMessage gets each text message; onClose is
+// called once, however the connection ends.
+class Connection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.alive = true;
+        this.closed = false;
+        this.onMessage = () => {};
+        this.onClose = () => {};
+        
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+    
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        let frame;
+        while ((frame = this.readFrame())) {
+            this.handleFrame(frame);
+            if (this.closed) return;
+        }
+    }
+    
+    // Take one complete frame off the buffer, or return null to wait for more
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+        
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            // Anything past 32 bits is far over the limit anyway
+            length = buffer.readUInt32BE(2) > 0 ? Infinity : buffer.readUInt32BE(6);
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE) {
+            this.close(1009);
+            return null;
+        }
+        
+        // Clients must mask every frame (RFC 6455 5.1)
+        if (!masked) {
+            this.close(1002);
+            return null;
+        }
+        const maskOffset = offset;
+        offset += 4;
+        if (buffer.length < offset + length) return null;
+        
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+    
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation: {
+                this.fragments.push(payload);
+                const size = this.fragments.reduce((total, part) => total + part.length, 0);
+                if (size > MAX_MESSAGE) {
+                    this.close(1009);
+                    return;
+                }
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage(message);
+                }
+                break;
+            }
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, payload);
+                break;
+            case OPCODES.pong:
+                this.alive = true;
+                break;
+            case OPCODES.close:
+                this.close(1000);
+                break;
+            default:
+                this.close(1002);
+        }
+    }
+    
+    sendFrame(opcode, payload) {
+        if (this.closed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeUInt32BE(0, 2);
+            header.writeUInt32BE(payload.length, 6);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+    
+    send(message) {
+        this.sendFrame(OPCODES.text, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+    
+    ping() {
+        if (!this.alive) {
+            this.socket.destroy();
+            return;
+        }
+        this.alive = false;
+        this.sendFrame(OPCODES.ping, Buffer.alloc(0));
+    }
+    
+    close(code) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.sendFrame(OPCODES.close, payload);
+        this.socket.end();
+        this.finish();
+    }
+    
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose();
+    }
+}
+
+// Answer an upgrade request; returns the Connection, or null if the
+// request wasn't a WebSocket handshake
+function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    return new Connection(socket);
+}
+
+// ============================================
+// ROOMS - Players sharing a lattice
+// ============================================
+
+// Room code -> Map of player id -> { connection, name, color, state }.
+// The last state of each player is kept so late joiners see everyone
+// where they are.
+const rooms = new Map();
+let nextPlayerId = 1;
+
+// Every open connection, in a room or not yet, for the pings
+const connections = new Set();
+
+function normalizeRoomCode(room) {
+    return String(room || '').trim().toUpperCase().replace(/[^A-Z0-9-]/g, '').slice(0, 16);
+}
+
+function broadcast(players, message, except) {
+    players.forEach((player, id) => {
+        if (id !== except) player.connection.send(message);
+    });
+}
+
+function describePlayer(id, player) {
+    return { id, name: player.name, color: player.color, state: player.state };
+}
+
+function handleConnection(connection) {
+    let room = null;
+    let id = null;
+    connections.add(connection);
+    const joinTimer = setTimeout(() => connection.close(1008), JOIN_TIMEOUT);
+    
+    connection.onMessage = (text) => {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+        if (!message || typeof message !== 'object') return;
+        
+        if (message.type === 'join' && room === null) {
+            const code = normalizeRoomCode(message.room);
+            if (!code) {
+                connection.send({ type: 'error', message: 'Enter a room code' });
+                connection.close(1008);
+                return;
+            }
+            const players = rooms.get(code) || new Map();
+            if (players.size >= MAX_PLAYERS) {
+                connection.send({ type: 'error', message: `Room ${code} is full` });
+                connection.close(1008);
+                return;
+            }
+            
+            clearTimeout(joinTimer);
+            room = code;
+            id = nextPlayerId++;
+            const player = {
+                connection,
+                name: String(message.name || `Player ${id}`).slice(0, 24),
+                color: typeof message.color === 'number' ? message.color : 0xffffff,
+                state: null
+            };
+            connection.send({
+                type: 'welcome',
+                id,
+                room,
+                players: Array.from(players, ([otherId, other]) => describePlayer(otherId, other))
+            });
+            broadcast(players, { type: 'join', player: describePlayer(id, player) });
+            players.set(id, player);
+            rooms.set(code, players);
+            console.log(`${player.name} joined ${code} (${players.size} playing)`);
+        } else if (message.type === 'state' && room !== null) {
+            const players = rooms.get(room);
+            players.get(id).state = message.state;
+            broadcast(players, { type: 'state', id, state: message.state }, id);
+        }
+    };
+    
+    connection.onClose = () => {
+        connections.delete(connection);
+        clearTimeout(joinTimer);
+        if (room === null) return;
+        const players = rooms.get(room);
+        players.delete(id);
+        if (players.size === 0) {
+            rooms.delete(room);
+        } else {
+            broadcast(players, { type: 'leave', id });
+        }
+    };
+}
+
+// ============================================
+// SERVER - Static files and the relay on one port
+// ============================================
+
+function serveFile(request, response) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400);
+        response.end();
+        return;
+    }
+    const fileName = urlPath === '/' ? 'index.html' : urlPath.slice(1);
+    if (!PUBLIC_FILES.has(fileName)) {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not found');
+        return;
+    }
+    const filePath = path.join(ROOT, fileName);
+    
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+            return;
+        }
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        response.writeHead(200, { 'Content-Type': type });
+        response.end(data);
+    });
+}
+
+const server = http.createServer(serveFile);
+
+server.on('upgrade', (request, socket) => {
+    const connection = acceptWebSocket(request, socket);
+    if (connection) {
+        handleConnection(connection);
+    }
+});
+
+const pingTimer = setInterval(() => {
+    connections.forEach(connection => connection.ping());
+}, PING_INTERVAL);
+pingTimer.unref();
+
+server.listen(PORT, () => {
+    console.log(`Tonnetz jam relay on http://localhost:${PORT}/ (share this machine's LAN address with players)`);
+});
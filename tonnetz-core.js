@@ -0,0 +1,2089 @@
+// Tonnetz Music Grid Game - core
+// The lattice, chords, spelling, voicing and player movement, with no
+// DOM, WebGL or Web Audio dependency. game.js draws and sounds it; other
+// apps (or tests in Node) can import it directly.
+
+// ============================================
+// TONNETZ SYSTEM - Neo-Riemannian Theory
+// ============================================
+
+export class TonnetzSystem {
+    // options: { width, height } of the grid in lattice cells, and the
+    // intervals [a, b, c] of the lattice (see setIntervals)
+    constructor(options = {}) {
+        // Note names in circle of fifths order
+        // We use a simple approach: map pitch class to preferred enharmonic name
+        // This ensures consistency and avoids double accidentals
+        this.pitchClassToName = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+        
+        // Pitch class lookup (for audio only) - kept for compatibility  
+        this.noteNames = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+        
+        // Grid dimensions
+        this.gridWidth = options.width || 12;
+        this.gridHeight = options.height || 8;
+        this.triangleSize = 3; // Size of each triangle cell
+        
+        // The Tonnetz is a lattice where:
+        // - Moving right by 1 = +7 semitones (perfect fifth)
+        // - Moving diagonally up-right = +4 semitones (major third)
+        // - Moving diagonally up-left = +3 semitones (minor third)
+        // Other lattices T[a,b,c] put other intervals on these three
+        // directions; the interval fields keep the names they have in the
+        // usual T[3,4,5] (see setIntervals).
+        
+        // Chord qualities as intervals above the root, used both to build
+        // chords and to name arbitrary sets of pitch classes
+        this.chordQualities = {
+            major: { intervals: [0, 4, 7], suffix: '' },
+            minor: { intervals: [0, 3, 7], suffix: 'm' },
+            diminished: { intervals: [0, 3, 6], suffix: 'dim' },
+            augmented: { intervals: [0, 4, 8], suffix: '+' },
+            dominant7: { intervals: [0, 4, 7, 10], suffix: '7' },
+            major7: { intervals: [0, 4, 7, 11], suffix: 'maj7' },
+            minor7: { intervals: [0, 3, 7, 10], suffix: 'm7' },
+            halfDiminished7: { intervals: [0, 3, 6, 10], suffix: 'm7b5' },
+            diminished7: { intervals: [0, 3, 6, 9], suffix: 'dim7' }
+        };
+        
+        // Compound neo-Riemannian operations, applied left to right
+        // N (Nebenverwandt): C -> Fm, S (Slide): C -> C#m, H (Hexatonic pole): C -> Abm
+        this.compoundTransformations = {
+            N: 'RLP',
+            S: 'LPR',
+            H: 'LPL'
+        };
+        
+        // Wrap-around (toroidal) mode: leaving one border re-enters on the
+        // matching pitch-class triangle on the opposite border
+        this.wrap = false;
+        
+        // Chicken-wire mode: the dual graph, with each triangle's chord a
+        // node at its center, joined to the three chords across its edges.
+        // The lattice is the same; this changes how it is drawn and how the
+        // sphere moves.
+        this.dual = false;
+        
+        // World-space position of lattice vertex (0, 0), chosen so the grid
+        // is centered on the origin
+        this.triHeight = this.triangleSize * Math.sqrt(3) / 2;
+        this.origin = {
+            x: -(this.gridWidth * this.triangleSize) / 2,
+            z: -(this.gridHeight * this.triHeight) / 2
+        };
+        
+        // Generate the Tonnetz grid
+        this.setIntervals(options.intervals || [3, 4, 5]);
+    }
+
+    // Rebuild the lattice as T[a,b,c], where a + b + c = 12: each row up
+    // adds b semitones, each column right a + b (the same as taking away
+    // c), and the remaining diagonal a. Upward triangles hold the chord
+    // [0, b, a + b] on their root and downward ones [0, a, a + b]; in
+    // T[3,4,5] these are major and minor, and other lattices get their
+    // own chord qualities, named by their intervals (see getTriadQuality).
+    setIntervals(intervals) {
+        if (!Array.isArray(intervals) || intervals.length !== 3 ||
+            !intervals.every(n => Number.isInteger(n) && n > 0) ||
+            intervals[0] + intervals[1] + intervals[2] !== 12) {
+            throw new Error(`T[${intervals}] needs three whole numbers of semitones adding up to 12`);
+        }
+        const [a, b] = intervals;
+        this.intervals = intervals.slice();
+        this.minorThirdInterval = a;
+        this.majorThirdInterval = b;
+        this.fifthInterval = a + b;
+        
+        // Forget the chord types of the previous lattice
+        Object.keys(this.chordQualities).forEach((name) => {
+            if (this.chordQualities[name].lattice) delete this.chordQualities[name];
+        });
+        this.triadQualities = {
+            major: this.getTriadQuality([0, b, a + b]),
+            minor: this.getTriadQuality([0, a, a + b])
+        };
+        
+        this.grid = this.generateGrid();
+        this.triangles = this.generateTriangles();
+    }
+
+    // Quality of a triangle's chord: a known one with these intervals, or
+    // a new one named by them in pitch-class set style, e.g. '(035)'
+    getTriadQuality(intervals) {
+        const known = Object.keys(this.chordQualities).find((name) => {
+            const definition = this.chordQualities[name];
+            return definition.intervals.length === intervals.length &&
+                definition.intervals.every((interval, i) => interval === intervals[i]);
+        });
+        if (known) return known;
+        
+        const name = `(${intervals.map(interval => '0123456789TE'[interval]).join('')})`;
+        this.chordQualities[name] = { intervals: intervals.slice(), suffix: name, lattice: true };
+        return name;
+    }
+
+    // Whether the lattice is the usual T[3,4,5], with major thirds up the
+    // rows and fifths along the columns
+    usesThirdsAndFifths() {
+        return this.majorThirdInterval === 4 && this.fifthInterval === 7;
+    }
+
+    // Visual position of a lattice vertex. Each row shifts right by half a
+    // triangle width, which gives the skewed Tonnetz layout.
+    latticeToWorld(row, col) {
+        return {
+            x: this.origin.x + col * this.triangleSize + row * (this.triangleSize / 2),
+            z: this.origin.z + row * this.triHeight
+        };
+    }
+
+    // Inverse of latticeToWorld: fractional (row, col) for a world position
+    worldToLattice(x, z) {
+        const row = (z - this.origin.z) / this.triHeight;
+        const col = (x - this.origin.x) / this.triangleSize - row / 2;
+        return { row, col };
+    }
+
+    // World-space translation for a lattice step of (rows, cols)
+    latticeVectorToWorld(rows, cols) {
+        return {
+            x: cols * this.triangleSize + rows * (this.triangleSize / 2),
+            z: rows * this.triHeight
+        };
+    }
+
+    // Wrapping needs the grid to repeat in pitch space: gridWidth fifths must
+    // come back to the same pitch class, and some column shift must make
+    // gridHeight major thirds do the same.
+    canWrap() {
+        return (this.gridWidth * this.fifthInterval) % 12 === 0 && this.getWrapColumnShift() !== null;
+    }
+
+    // Column shift k such that moving gridHeight rows up and k columns across
+    // lands on the same pitch class. Returns null if there is none.
+    getWrapColumnShift() {
+        for (let k = 0; k < 12; k++) {
+            if ((this.gridHeight * this.majorThirdInterval + k * this.fifthInterval) % 12 === 0) {
+                return k;
+            }
+        }
+        return null;
+    }
+
+    // The two lattice periods of the wrapped grid, as (rows, cols) steps
+    getWrapPeriods() {
+        return {
+            across: { rows: 0, cols: this.gridWidth },
+            up: { rows: this.gridHeight, cols: this.getWrapColumnShift() }
+        };
+    }
+
+    // World-space translation that brings (x, z) back inside the grid.
+    // Returns { x: 0, z: 0 } when the point is already inside or wrapping is off.
+    getWrapOffset(x, z) {
+        if (!this.wrap) return { x: 0, z: 0 };
+        
+        const periods = this.getWrapPeriods();
+        const { row, col } = this.worldToLattice(x, z);
+        
+        // Vertical period first (it also shifts columns), then horizontal
+        const ups = Math.floor(row / this.gridHeight);
+        const shiftedCol = col - ups * periods.up.cols;
+        const acrosses = Math.floor(shiftedCol / this.gridWidth);
+        
+        return this.latticeVectorToWorld(
+            -ups * periods.up.rows,
+            -ups * periods.up.cols - acrosses * periods.across.cols
+        );
+    }
+
+    // Lay out copies of the wrapped grid so they cover at least
+    // width x depth world units. Returns the world offsets of each copy and
+    // the two world vectors the copies repeat by as a whole.
+    getWrapTiling(width, depth) {
+        const periods = this.getWrapPeriods();
+        const across = this.latticeVectorToWorld(periods.across.rows, periods.across.cols);
+        const up = this.latticeVectorToWorld(periods.up.rows, periods.up.cols);
+        
+        const copiesAcross = Math.max(1, Math.ceil(width / across.x));
+        const copiesUp = Math.max(1, Math.ceil(depth / up.z));
+        
+        // Straighten the vertical repeat vector by cancelling its sideways
+        // drift with whole horizontal periods, so the covered area is a
+        // rectangle rather than a skewed strip
+        const drift = Math.round((copiesUp * up.x) / across.x);
+        
+        const offsets = [];
+        for (let i = 0; i < copiesAcross; i++) {
+            for (let j = 0; j < copiesUp; j++) {
+                offsets.push({
+                    x: i * across.x + j * up.x,
+                    z: i * across.z + j * up.z
+                });
+            }
+        }
+        
+        return {
+            offsets,
+            basis: [
+                { x: copiesAcross * across.x, z: copiesAcross * across.z },
+                { x: copiesUp * up.x - drift * across.x, z: copiesUp * up.z - drift * across.z }
+            ]
+        };
+    }
+
+    // Wrap lattice coordinates into the grid (used to identify vertices that
+    // are the same point of the torus)
+    wrapLatticeCoords(row, col) {
+        const periods = this.getWrapPeriods();
+        const ups = Math.floor(row / this.gridHeight);
+        let wrappedCol = col - ups * periods.up.cols;
+        wrappedCol = ((wrappedCol % this.gridWidth) + this.gridWidth) % this.gridWidth;
+        return { row: row - ups * periods.up.rows, col: wrappedCol };
+    }
+
+    // Get note name from pitch class using preferred enharmonic spelling
+    getNoteName(pitchClass) {
+        const name = this.pitchClassToName[pitchClass];
+        if (name === undefined) {
+            console.error('Undefined note name for pitchClass:', pitchClass);
+            return '?';
+        }
+        return name;
+    }
+
+    // Position of an interval on the line of fifths (fifth = +1, major
+    // third = +4, minor third = -3)
+    intervalToFifths(interval) {
+        const fifths = (((interval * 7) % 12) + 12) % 12;
+        return fifths > 6 ? fifths - 12 : fifths;
+    }
+
+    generateGrid() {
+        // Create a 2D grid storing pitch class, note name and line-of-fifths
+        // position (used for enharmonic spelling)
+        const grid = [];
+        const rowFifths = this.intervalToFifths(this.majorThirdInterval);
+        const colFifths = this.intervalToFifths(this.fifthInterval);
+        
+        for (let row = 0; row < this.gridHeight + 1; row++) {
+            grid[row] = [];
+            for (let col = 0; col < this.gridWidth + 1; col++) {
+                // Pitch class: each row +4 semitones (major third), each col +7 semitones (fifth)
+                const pitchClass = ((row * this.majorThirdInterval + col * this.fifthInterval) % 12 + 12) % 12;
+                const noteName = this.getNoteName(pitchClass);
+                grid[row][col] = {
+                    pitchClass: pitchClass,
+                    noteName: noteName,
+                    fifths: row * rowFifths + col * colFifths
+                };
+            }
+        }
+        
+        return grid;
+    }
+
+    generateTriangles() {
+        // Generate triangular cells for the Tonnetz
+        // Each upward triangle = major triad, each downward = minor triad
+        // (in T[3,4,5]; the types keep these names on other lattices)
+        const triangles = [];
+        const getVertexPosition = (row, col) => this.latticeToWorld(row, col);
+        
+        // In a triangular grid:
+        // - Vertices are at grid positions (row, col)
+        // - Upward triangle at (row, col) uses vertices: (row, col), (row, col+1), (row+1, col)
+        // - Downward triangle at (row, col) uses vertices: (row+1, col), (row, col+1), (row+1, col+1)
+        
+        for (let row = 0; row < this.gridHeight; row++) {
+            for (let col = 0; col < this.gridWidth; col++) {
+                // Get visual positions using consistent calculation for each grid position
+                const v0 = getVertexPosition(row, col);         // (row, col)
+                const v1 = getVertexPosition(row, col + 1);     // (row, col+1)
+                const v2 = getVertexPosition(row + 1, col);     // (row+1, col)
+                const v3 = getVertexPosition(row + 1, col + 1); // (row+1, col+1)
+                
+                // Get grid cell data (now contains pitchClass, noteName)
+                const cell0 = this.grid[row][col];         // (row, col)
+                const cell1 = this.grid[row][col + 1];     // (row, col+1)
+                const cell2 = this.grid[row + 1][col];     // (row+1, col)
+                const cell3 = this.grid[row + 1][col + 1]; // (row+1, col+1)
+                
+                // Upward triangle: v0, v1, v2 
+                // Uses grid positions: (row,col), (row,col+1), (row+1,col) 
+                // With our grid: cell0=root, cell1=root+7 (fifth), cell2=root+4 (major third)
+                // This forms a major triad: root, third, fifth
+                const majorChord = [60 + cell0.pitchClass, 60 + cell2.pitchClass, 60 + cell1.pitchClass];
+                triangles.push({
+                    type: 'major',
+                    vertices: [
+                        { x: v0.x, z: v0.z, row: row, col: col, pitchClass: cell0.pitchClass, noteName: cell0.noteName },
+                        { x: v1.x, z: v1.z, row: row, col: col + 1, pitchClass: cell1.pitchClass, noteName: cell1.noteName },
+                        { x: v2.x, z: v2.z, row: row + 1, col: col, pitchClass: cell2.pitchClass, noteName: cell2.noteName }
+                    ],
+                    center: { 
+                        x: (v0.x + v1.x + v2.x) / 3, 
+                        z: (v0.z + v1.z + v2.z) / 3 
+                    },
+                    chord: majorChord,
+                    chordName: this.nameChord([cell0.pitchClass, cell2.pitchClass, cell1.pitchClass]).name,
+                    quality: this.triadQualities.major,
+                    root: cell0.pitchClass,
+                    pitchClasses: [cell0.pitchClass, cell2.pitchClass, cell1.pitchClass],
+                    row: row,
+                    col: col,
+                    index: triangles.length
+                });
+                
+                // Downward triangle: v2, v1, v3 (top-left, bottom-right, top-right)
+                // Uses grid positions: (row+1,col), (row,col+1), (row+1,col+1)
+                // Relative to cell2 as root: cell1=minor third, cell3=fifth -> minor triad
+                const minorChord = [60 + cell2.pitchClass, 60 + cell1.pitchClass, 60 + cell3.pitchClass];
+                triangles.push({
+                    type: 'minor',
+                    vertices: [
+                        { x: v2.x, z: v2.z, row: row + 1, col: col, pitchClass: cell2.pitchClass, noteName: cell2.noteName },
+                        { x: v1.x, z: v1.z, row: row, col: col + 1, pitchClass: cell1.pitchClass, noteName: cell1.noteName },
+                        { x: v3.x, z: v3.z, row: row + 1, col: col + 1, pitchClass: cell3.pitchClass, noteName: cell3.noteName }
+                    ],
+                    center: { 
+                        x: (v2.x + v1.x + v3.x) / 3, 
+                        z: (v2.z + v1.z + v3.z) / 3 
+                    },
+                    chord: minorChord,
+                    chordName: this.nameChord([cell2.pitchClass, cell1.pitchClass, cell3.pitchClass]).name,
+                    quality: this.triadQualities.minor,
+                    root: cell2.pitchClass,
+                    pitchClasses: [cell2.pitchClass, cell1.pitchClass, cell3.pitchClass],
+                    row: row,
+                    col: col,
+                    index: triangles.length
+                });
+            }
+        }
+        
+        return triangles;
+    }
+
+    // Look up the triangle at lattice cell (row, col). In wrap mode the
+    // coordinates are wrapped into the grid; otherwise cells outside the
+    // grid return null.
+    getTriangleAt(row, col, type) {
+        if (this.wrap) {
+            ({ row, col } = this.wrapLatticeCoords(row, col));
+        }
+        if (row < 0 || row >= this.gridHeight || col < 0 || col >= this.gridWidth) {
+            return null;
+        }
+        // Triangles are generated row by row, major then minor for each cell
+        return this.triangles[(row * this.gridWidth + col) * 2 + (type === 'major' ? 0 : 1)];
+    }
+
+    // World-space center of a lattice cell's triangle (no wrapping applied)
+    getCellCenter(row, col, type) {
+        const corners = type === 'major'
+            ? [[row, col], [row, col + 1], [row + 1, col]]
+            : [[row + 1, col], [row, col + 1], [row + 1, col + 1]];
+        const points = corners.map(([r, c]) => this.latticeToWorld(r, c));
+        return {
+            x: (points[0].x + points[1].x + points[2].x) / 3,
+            z: (points[0].z + points[1].z + points[2].z) / 3
+        };
+    }
+
+    // Neighbouring lattice cell across one edge for a single P, L or R move.
+    // Each operation keeps two notes and flips the triangle over the edge
+    // between them:
+    // - P keeps root and fifth, R keeps root and major third (major chord),
+    //   L keeps the major third and fifth
+    // On other lattices P, L and R are the flips over the same three edges.
+    getNeighborCell(row, col, type, operation) {
+        if (type === 'major') {
+            switch (operation) {
+                case 'P': return { row: row - 1, col: col, type: 'minor' };
+                case 'R': return { row: row, col: col - 1, type: 'minor' };
+                case 'L': return { row: row, col: col, type: 'minor' };
+            }
+        } else {
+            switch (operation) {
+                case 'P': return { row: row + 1, col: col, type: 'major' };
+                case 'R': return { row: row, col: col + 1, type: 'major' };
+                case 'L': return { row: row, col: col, type: 'major' };
+            }
+        }
+        return null;
+    }
+
+    // Expand an operation name into single P/L/R steps ('N' -> 'RLP')
+    expandTransformation(operation) {
+        return (this.compoundTransformations[operation] || operation).split('');
+    }
+
+    // Apply a (possibly compound) operation to a lattice cell
+    transformCell(row, col, type, operation) {
+        let cell = { row, col, type };
+        for (const step of this.expandTransformation(operation)) {
+            cell = this.getNeighborCell(cell.row, cell.col, cell.type, step);
+            if (!cell) return null;
+        }
+        return cell;
+    }
+
+    // Apply a single P, L or R to a triad given as { root, type }, purely in
+    // pitch-class space (matches getNeighborCell on the lattice)
+    transformTriad(triad, operation) {
+        const third = this.majorThirdInterval;
+        const fifth = this.fifthInterval;
+        const mod = (n) => ((n % 12) + 12) % 12;
+        
+        if (triad.type === 'major') {
+            switch (operation) {
+                case 'P': return { root: triad.root, type: 'minor' };
+                case 'R': return { root: mod(triad.root + third - fifth), type: 'minor' };
+                case 'L': return { root: mod(triad.root + third), type: 'minor' };
+            }
+        } else {
+            switch (operation) {
+                case 'P': return { root: triad.root, type: 'major' };
+                case 'R': return { root: mod(triad.root - third + fifth), type: 'major' };
+                case 'L': return { root: mod(triad.root - third), type: 'major' };
+            }
+        }
+        return null;
+    }
+
+    // Name the neo-Riemannian operation taking one triangle's chord to
+    // another's: a single P/L/R, a named compound (N, S, H), or otherwise
+    // the shortest chain of P/L/R steps (e.g. 'RP'). Returns '' for the
+    // same chord.
+    identifyTransformation(fromTriangle, toTriangle) {
+        const sameTriad = (a, b) => a.root === b.root && a.type === b.type;
+        const start = { root: fromTriangle.root, type: fromTriangle.type };
+        const target = { root: toTriangle.root, type: toTriangle.type };
+        
+        if (sameTriad(start, target)) return '';
+        
+        const apply = (triad, operation) => this.expandTransformation(operation)
+            .reduce((t, step) => this.transformTriad(t, step), triad);
+        
+        for (const operation of ['P', 'L', 'R', ...Object.keys(this.compoundTransformations)]) {
+            if (sameTriad(apply(start, operation), target)) return operation;
+        }
+        
+        // Breadth-first search over the 24 major/minor triads
+        const key = (t) => `${t.root}${t.type}`;
+        const visited = new Set([key(start)]);
+        let frontier = [{ triad: start, path: '' }];
+        while (frontier.length > 0) {
+            const next = [];
+            for (const { triad, path } of frontier) {
+                for (const step of ['P', 'L', 'R']) {
+                    const result = this.transformTriad(triad, step);
+                    if (sameTriad(result, target)) return path + step;
+                    if (!visited.has(key(result))) {
+                        visited.add(key(result));
+                        next.push({ triad: result, path: path + step });
+                    }
+                }
+            }
+            frontier = next;
+        }
+        return '?';
+    }
+
+    // Pitch classes of a chord quality built on root, root first
+    buildChord(root, quality) {
+        return this.chordQualities[quality].intervals.map(interval => (root + interval) % 12);
+    }
+
+    // Name a set of pitch classes, e.g. [9, 0, 4, 7] -> Am7. Tries the
+    // preferred root first (defaults to the first pitch class), then every
+    // other note as the root. Returns { root, quality, name, pitchClasses }
+    // with pitchClasses reordered root first; quality is null if the set
+    // doesn't match a known chord.
+    nameChord(pitchClasses, preferredRoot = pitchClasses[0]) {
+        const unique = [...new Set(pitchClasses.map(pc => ((pc % 12) + 12) % 12))];
+        const candidates = [preferredRoot, ...unique.filter(pc => pc !== preferredRoot)];
+        
+        for (const root of candidates) {
+            if (!unique.includes(root)) continue;
+            const intervals = unique.map(pc => (pc - root + 12) % 12).sort((a, b) => a - b);
+            
+            for (const [quality, definition] of Object.entries(this.chordQualities)) {
+                if (definition.intervals.length === intervals.length &&
+                    definition.intervals.every((interval, i) => interval === intervals[i])) {
+                    return {
+                        root: root,
+                        quality: quality,
+                        name: this.getNoteName(root) + definition.suffix,
+                        pitchClasses: this.buildChord(root, quality)
+                    };
+                }
+            }
+        }
+        
+        // Unknown chord: list its notes
+        return {
+            root: preferredRoot,
+            quality: null,
+            name: `${this.getNoteName(preferredRoot)}(${unique.map(pc => this.getNoteName(pc)).join('-')})`,
+            pitchClasses: unique
+        };
+    }
+
+    // Pitch class of a note name such as 'C', 'F#', 'Bb' or 'Ebb'; null if
+    // it isn't one
+    parseNoteName(name) {
+        const match = /^([A-Ga-g])(#{1,2}|b{1,2}|x)?$/.exec(String(name).trim());
+        if (!match) return null;
+        const naturals = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+        const accidentals = { '#': 1, '##': 2, x: 2, b: -1, bb: -2 };
+        const pc = naturals[match[1].toUpperCase()] + (accidentals[match[2]] || 0);
+        return (pc + 12) % 12;
+    }
+
+    // Parse a chord symbol written with our suffixes ('F#m', 'Bbmaj7',
+    // 'C+') into { root, quality, pitchClasses }; null if not recognised
+    parseChordSymbol(symbol) {
+        const match = /^([A-Ga-g](?:#{1,2}|b{1,2}|x)?)(.*)$/.exec(String(symbol).trim());
+        if (!match) return null;
+        const root = this.parseNoteName(match[1]);
+        const quality = Object.keys(this.chordQualities)
+            .find(name => this.chordQualities[name].suffix === match[2]);
+        if (root === null || !quality) return null;
+        return { root, quality, pitchClasses: this.buildChord(root, quality) };
+    }
+
+    // A key that is the same for every voicing and inversion of a chord
+    getChordKey(pitchClasses) {
+        return [...new Set(pitchClasses)].sort((a, b) => a - b).join(',');
+    }
+
+    // Pitch classes of a major ('C') or natural minor ('Am') key; null if
+    // the name isn't a key
+    getKeyScale(name) {
+        const match = /^(.+?)(m?)$/.exec(String(name).trim());
+        const tonic = match ? this.parseNoteName(match[1]) : null;
+        if (tonic === null) return null;
+        const steps = match[2] ? [0, 2, 3, 5, 7, 8, 10] : [0, 2, 4, 5, 7, 9, 11];
+        return steps.map(step => (tonic + step) % 12);
+    }
+
+    // The two vertices a P, L or R move keeps (the edge it flips across).
+    // Major vertices are [root, fifth, third]; minor are [root, third, fifth].
+    getTransformationEdge(triangle, operation) {
+        const edges = triangle.type === 'major'
+            ? { P: [0, 1], R: [0, 2], L: [2, 1] }
+            : { P: [0, 2], R: [1, 2], L: [0, 1] };
+        const edge = edges[operation];
+        return edge ? [triangle.vertices[edge[0]], triangle.vertices[edge[1]]] : null;
+    }
+
+    // Check if a point is inside a triangle
+    pointInTriangle(px, pz, triangle) {
+        const v = triangle.vertices;
+        
+        const sign = (p1, p2, p3) => {
+            return (p1.x - p3.x) * (p2.z - p3.z) - (p2.x - p3.x) * (p1.z - p3.z);
+        };
+        
+        const d1 = sign({ x: px, z: pz }, v[0], v[1]);
+        const d2 = sign({ x: px, z: pz }, v[1], v[2]);
+        const d3 = sign({ x: px, z: pz }, v[2], v[0]);
+        
+        const hasNeg = (d1 < 0) || (d2 < 0) || (d3 < 0);
+        const hasPos = (d1 > 0) || (d2 > 0) || (d3 > 0);
+        
+        return !(hasNeg && hasPos);
+    }
+
+    // Triangle containing a world position, worked out from its lattice
+    // coordinates: the cell is the integer part, and the fractional parts
+    // sum to less than 1 in the lower (major) triangle. In wrap mode points
+    // off the grid find the matching triangle.
+    findTriangleAtPosition(x, z) {
+        const { row, col } = this.worldToLattice(x, z);
+        const cellRow = Math.floor(row);
+        const cellCol = Math.floor(col);
+        const type = (row - cellRow) + (col - cellCol) < 1 ? 'major' : 'minor';
+        return this.getTriangleAt(cellRow, cellCol, type);
+    }
+
+    // Reference version testing every triangle in turn (kept for the
+    // benchmark)
+    scanTriangleAtPosition(x, z) {
+        for (const triangle of this.triangles) {
+            if (this.pointInTriangle(x, z, triangle)) {
+                return triangle;
+            }
+        }
+        return null;
+    }
+}
+
+// ============================================
+// SPELLING SYSTEM - Context-aware enharmonic names
+// ============================================
+
+// Notes are spelled from their position on the line of fifths
+// (... Bb Eb -2 F -1 C 0 G 1 D 2 ...): every pitch class has several
+// positions 12 apart (F# = 6, Gb = -6) and we pick the one closest to the
+// current key, or to the music just played when no key is set.
+export class NoteSpeller {
+    constructor() {
+        // Letters in line-of-fifths order, starting from F (-1)
+        this.letters = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+        
+        // Line-of-fifths position of each chord interval (in semitones).
+        // Some qualities need a different spelling of the same interval.
+        this.intervalFifths = { 0: 0, 1: -5, 2: 2, 3: -3, 4: 4, 5: -1, 6: -6, 7: 1, 8: -4, 9: 3, 10: -2, 11: 5 };
+        this.qualityFifths = {
+            augmented: { 8: 8 },    // #5, not b6
+            diminished7: { 9: -9 }  // bb7, not 6
+        };
+        
+        // Selected key as { fifths, mode } (tonic position on the line of
+        // fifths), or null to follow the chords
+        this.key = null;
+        
+        // Center of the spelling window when following the chords
+        // (starts around C major) and how far it may wander
+        this.reference = 2;
+        this.referenceRange = { min: -4, max: 8 };
+        this.majorRootRange = { min: -6, max: 7 };
+        this.minorRootRange = { min: -3, max: 10 };
+    }
+
+    // e.g. 0 -> 'C', 6 -> 'F#', -6 -> 'Gb', 13 -> 'Fx', -9 -> 'Bbb'
+    nameForFifths(fifths) {
+        const letter = this.letters[((fifths + 1) % 7 + 7) % 7];
+        const accidentals = Math.floor((fifths + 1) / 7);
+        if (accidentals > 0) {
+            return letter + 'x'.repeat(Math.floor(accidentals / 2)) + '#'.repeat(accidentals % 2);
+        }
+        return letter + 'b'.repeat(-accidentals);
+    }
+
+    pitchClassToFifths(pitchClass) {
+        // A fifth is 7 semitones and 7 * 7 = 49 = 1 (mod 12), so the
+        // inverse is multiplying by 7 again
+        return ((pitchClass * 7) % 12 + 12) % 12;
+    }
+
+    // Line-of-fifths position of pitchClass closest to target
+    nearestFifths(pitchClass, target) {
+        const base = this.pitchClassToFifths(pitchClass);
+        // Ties (e.g. F# / Gb) go to the sharp side
+        return base + 12 * Math.round((target - base - 0.001) / 12);
+    }
+
+    // Middle of the spelling window
+    getCenter() {
+        if (this.key) {
+            // Major keys span tonic-1 .. tonic+5 (F to B in C major); minor
+            // keys are centered like their relative major
+            return this.key.fifths + (this.key.mode === 'major' ? 2 : -1);
+        }
+        return this.reference;
+    }
+
+    setKey(key) {
+        this.key = key;
+    }
+
+    // Every key we offer, as { fifths, mode, name }
+    getKeys() {
+        const keys = [];
+        for (let fifths = -7; fifths <= 7; fifths++) {
+            keys.push({ fifths, mode: 'major', name: this.nameForFifths(fifths) });
+        }
+        for (let fifths = -4; fifths <= 10; fifths++) {
+            keys.push({ fifths, mode: 'minor', name: this.nameForFifths(fifths) + 'm' });
+        }
+        return keys;
+    }
+
+    // Spell a lone pitch class (or a lattice vertex, given its line-of-
+    // fifths position) inside the current window. Outside a chord there's
+    // no reason for a double accidental, so those use the enharmonic.
+    spellPitchClass(pitchClass) {
+        return this.spellLatticeFifths(this.pitchClassToFifths(pitchClass));
+    }
+
+    spellLatticeFifths(fifths) {
+        const center = this.getCenter();
+        let nearest = fifths + 12 * Math.round((center - fifths - 0.001) / 12);
+        const accidentals = (f) => Math.abs(Math.floor((f + 1) / 7));
+        if (accidentals(nearest) >= 2) {
+            const other = nearest + (nearest > center ? -12 : 12);
+            if (accidentals(other) < 2) nearest = other;
+        }
+        return this.nameForFifths(nearest);
+    }
+
+    // Spell a chord from its root and quality (see TonnetzSystem
+    // chordQualities). Returns { name, rootFifths, noteNames } where
+    // noteNames maps each pitch class in the chord to its spelling.
+    spellChord(root, quality, pitchClasses, suffix) {
+        const overrides = (quality && this.qualityFifths[quality]) || {};
+        const offsets = pitchClasses.map((pc) => {
+            const interval = (pc - root + 12) % 12;
+            return overrides.hasOwnProperty(interval) ? overrides[interval] : this.intervalFifths[interval];
+        });
+        
+        // Place the root so the middle of its triad (root, third, fifth)
+        // lands nearest the window center. This picks G#m over Abm but Db
+        // over C#, and sevenths follow their triad (Db7, not C#7).
+        const hasMajorThird = pitchClasses.includes((root + 4) % 12);
+        const middle = hasMajorThird ? (0 + 4 + 1) / 3 : (0 - 3 + 1) / 3;
+        let rootFifths = this.nearestFifths(root, this.getCenter() - middle);
+        
+        // Without a key, stay among roots that have a key signature of at
+        // most seven accidentals (Gb to C# major, Eb to A# minor)
+        if (!this.key) {
+            const range = hasMajorThird ? this.majorRootRange : this.minorRootRange;
+            if (rootFifths < range.min) rootFifths += 12;
+            if (rootFifths > range.max) rootFifths -= 12;
+        }
+        
+        const noteNames = {};
+        pitchClasses.forEach((pc, index) => {
+            noteNames[pc] = this.nameForFifths(rootFifths + offsets[index]);
+        });
+        
+        return {
+            name: noteNames[root] + suffix,
+            rootFifths: rootFifths,
+            middleFifths: rootFifths + middle,
+            noteNames: noteNames
+        };
+    }
+
+    // With no key set, move the window to the chord just played so the
+    // next chord is spelled in the same neighbourhood. Returns true if the
+    // window moved.
+    follow(spelledChord) {
+        if (this.key) return false;
+        const { min, max } = this.referenceRange;
+        const reference = Math.min(max, Math.max(min, Math.round(spelledChord.middleFifths)));
+        const moved = reference !== this.reference;
+        this.reference = reference;
+        return moved;
+    }
+}
+
+// ============================================
+// VOICING ENGINE - Choosing octaves for chord tones
+// ============================================
+
+export class VoicingEngine {
+    constructor() {
+        // Available strategies and their display names
+        this.strategies = {
+            closest: 'Closest voice leading',
+            root: 'Root position',
+            drop2: 'Open (drop 2)',
+            bass: 'Bass doubled'
+        };
+        this.strategy = 'closest';
+        
+        // Voicings stay inside this MIDI range (C3 to G5) and drift back
+        // towards middle C
+        this.range = { low: 48, high: 79 };
+        this.center = 60;
+        this.bassRange = { low: 36, high: 47 }; // C2 to B2
+        
+        // Widest interval allowed between the lowest and highest voice
+        this.maxSpread = 19; // Octave plus a fifth
+        this.closeSpread = 11;
+        
+        // Close-position reference for the last chord, used to lead the
+        // voices into the next one
+        this.previous = null;
+    }
+
+    setStrategy(strategy) {
+        if (!this.strategies.hasOwnProperty(strategy)) return;
+        this.strategy = strategy;
+        this.reset();
+    }
+
+    // Forget the previous chord (the next one starts in root position)
+    reset() {
+        this.previous = null;
+    }
+
+    // Voice a chord given as pitch classes, root first. Returns ascending
+    // MIDI notes.
+    voice(pitchClasses) {
+        switch (this.strategy) {
+            case 'root':
+                return this.rootPosition(pitchClasses);
+            case 'drop2': {
+                const close = this.leadVoices(pitchClasses, this.closeSpread);
+                // Drop the second voice from the top down an octave
+                const notes = close.slice();
+                if (notes.length >= 3) {
+                    notes[notes.length - 2] -= 12;
+                }
+                return notes.sort((a, b) => a - b);
+            }
+            case 'bass': {
+                const upper = this.leadVoices(pitchClasses, this.closeSpread);
+                // Double the root in the bass register
+                const bass = this.bassRange.low + ((pitchClasses[0] - this.bassRange.low) % 12 + 12) % 12;
+                return [bass, ...upper];
+            }
+            case 'closest':
+            default:
+                return this.leadVoices(pitchClasses, this.maxSpread);
+        }
+    }
+
+    // Root position stacked upwards from a root near middle C
+    rootPosition(pitchClasses) {
+        const notes = [];
+        // Root between F3 and E4
+        let note = 53 + ((pitchClasses[0] - 53) % 12 + 12) % 12;
+        pitchClasses.forEach((pitchClass, index) => {
+            if (index > 0) {
+                note += ((pitchClass - note) % 12 + 12) % 12 || 12;
+            }
+            notes.push(note);
+        });
+        return notes;
+    }
+
+    // Pick octaves for each pitch class so that every voice moves as little
+    // as possible from the previous chord. Common tones come out held,
+    // because staying put costs nothing.
+    leadVoices(pitchClasses, maxSpread) {
+        if (!this.previous) {
+            this.previous = this.rootPosition(pitchClasses);
+            return this.previous.slice();
+        }
+        
+        const previous = this.previous;
+        
+        // Every octave of each pitch class inside the range
+        const candidates = pitchClasses.map((pitchClass) => {
+            const notes = [];
+            let note = this.range.low + ((pitchClass - this.range.low) % 12 + 12) % 12;
+            for (; note <= this.range.high; note += 12) {
+                notes.push(note);
+            }
+            return notes;
+        });
+        
+        const distanceTo = (note, notes) => Math.min(...notes.map(n => Math.abs(n - note)));
+        
+        let best = null;
+        let bestCost = Infinity;
+        
+        const search = (index, chosen) => {
+            if (index === candidates.length) {
+                const low = Math.min(...chosen);
+                const high = Math.max(...chosen);
+                if (high - low > maxSpread) return;
+                
+                // Motion of each new voice, plus where each old voice went,
+                // plus a small pull back towards the center of the range
+                let cost = 0;
+                chosen.forEach(note => { cost += distanceTo(note, previous); });
+                previous.forEach(note => { cost += distanceTo(note, chosen); });
+                const mean = chosen.reduce((sum, note) => sum + note, 0) / chosen.length;
+                cost += Math.abs(mean - this.center) * 0.1;
+                
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    best = chosen.slice();
+                }
+                return;
+            }
+            candidates[index].forEach((note) => {
+                if (chosen.includes(note)) return;
+                chosen.push(note);
+                search(index + 1, chosen);
+                chosen.pop();
+            });
+        };
+        search(0, []);
+        
+        // Fall back to root position if nothing fits (very wide chords)
+        const notes = best ? best.sort((a, b) => a - b) : this.rootPosition(pitchClasses);
+        this.previous = notes;
+        return notes.slice();
+    }
+}
+
+// ============================================
+// TUNING - Note frequencies
+// ============================================
+
+// Read a Scala (.scl) tuning file: lines starting with '!' are comments,
+// then come a description, the number of pitches and one pitch per line,
+// either in cents (with a '.') or as a ratio ('5/4', or '2' for 2/1). The
+// first degree (1/1) is implied and the last pitch is the period, usually
+// the octave. Returns { description, ratios, period } where ratios starts
+// with 1. Throws an Error for a malformed file.
+export function parseScala(text) {
+    const lines = String(text).split(/\r?\n/).filter(line => !line.startsWith('!'));
+    if (lines.length < 2) {
+        throw new Error('Scala file is missing its description or pitch count');
+    }
+    const description = lines[0].trim();
+    const count = parseInt(lines[1], 10);
+    if (!(count > 0)) {
+        throw new Error(`Scala file has an invalid pitch count "${lines[1].trim()}"`);
+    }
+    
+    const pitches = lines.slice(2).map(line => line.trim()).filter(Boolean).map((line) => {
+        // Anything after the pitch is a label
+        const value = line.split(/\s+/)[0];
+        let ratio;
+        if (value.includes('.')) {
+            ratio = Math.pow(2, parseFloat(value) / 1200);
+        } else {
+            const match = /^(\d+)(?:\/(\d+))?$/.exec(value);
+            ratio = match ? parseInt(match[1], 10) / parseInt(match[2] || '1', 10) : NaN;
+        }
+        if (!(ratio > 0) || !isFinite(ratio)) {
+            throw new Error(`Scala file has an invalid pitch "${value}"`);
+        }
+        return ratio;
+    });
+    if (pitches.length !== count) {
+        throw new Error(`Scala file says ${count} pitches but lists ${pitches.length}`);
+    }
+    
+    return {
+        description,
+        ratios: [1, ...pitches.slice(0, -1)],
+        period: pitches[pitches.length - 1]
+    };
+}
+
+// Works out the frequency of every note played:
+// - 'equal': 12-tone equal temperament, A4 = 440 Hz
+// - 'just': from the note's place on the lattice, each row up a pure major
+//   third (5/4) and each column a pure fifth (3/2) from the origin vertex,
+//   which keeps its equal-tempered pitch. Wandering around the lattice
+//   and back to the same chord name can land a comma (81/80) away.
+// - 'scale': a loaded Scala scale, one degree per MIDI note, with degree 0
+//   on baseNote
+export class Tuning {
+    // Just intonation works on a lattice of major thirds (5/4, rows) and
+    // fifths (3/2, columns). On T[3,4,5] that is the Tonnetz itself; on
+    // other lattices notes are placed by their interval from the tonic.
+    constructor(tonnetz) {
+        this.tonnetz = tonnetz;
+        this.mode = 'equal';
+        this.origin = { row: 0, col: 0 };
+        this.scale = null;
+        this.tonic = 0;
+        this.baseNote = 60;
+        
+        // Lattice step from a chord's root for each interval, for chord
+        // tones that aren't on its triangles (e.g. the 7th of a held
+        // dominant 7th): the step whose just ratio is simplest
+        this.intervalSteps = [];
+        for (let rows = -3; rows <= 3; rows++) {
+            for (let cols = -3; cols <= 3; cols++) {
+                const interval = (((rows * 4 + cols * 7) % 12) + 12) % 12;
+                const complexity = this.getComplexity(rows, cols);
+                const best = this.intervalSteps[interval];
+                if (!best || complexity < best.complexity) {
+                    this.intervalSteps[interval] = { rows, cols, complexity };
+                }
+            }
+        }
+    }
+
+    // Tenney height (log2 of numerator × denominator) of the ratio
+    // (5/4)^rows (3/2)^cols brought into one octave
+    getComplexity(rows, cols) {
+        const octaves = Math.floor(rows * Math.log2(5 / 4) + cols * Math.log2(3 / 2));
+        const twos = -2 * rows - cols - octaves;
+        return Math.abs(twos) + Math.abs(cols) * Math.log2(3) + Math.abs(rows) * Math.log2(5);
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+    }
+
+    // Lattice vertex that keeps its equal-tempered pitch in just intonation
+    setOrigin(row, col) {
+        this.origin = { row, col };
+    }
+
+    // Tune from a pitch class: its vertex nearest the middle of the grid
+    // (where the sphere starts) becomes the just-intonation origin, and its
+    // note in octave 4 a scale's first degree
+    setTonic(pitchClass) {
+        this.tonic = pitchClass;
+        this.baseNote = 60 + pitchClass;
+        if (!this.tonnetz.usesThirdsAndFifths()) {
+            const step = this.intervalSteps[pitchClass];
+            this.setOrigin(step.rows, step.cols);
+            return;
+        }
+        
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.tonnetz.grid.forEach((cells, row) => {
+            cells.forEach((cell, col) => {
+                if (cell.pitchClass !== pitchClass) return;
+                const point = this.tonnetz.latticeToWorld(row, col);
+                const distance = point.x * point.x + point.z * point.z;
+                if (distance < nearestDistance) {
+                    nearest = { row, col };
+                    nearestDistance = distance;
+                }
+            });
+        });
+        if (nearest) {
+            this.setOrigin(nearest.row, nearest.col);
+        }
+    }
+
+    setScale(scale, baseNote = this.baseNote) {
+        this.scale = scale;
+        this.baseNote = baseNote;
+    }
+
+    equalFrequency(note) {
+        return 440 * Math.pow(2, (note - 69) / 12);
+    }
+
+    // Frequencies for the voiced notes of a chord on the given triangles
+    frequenciesFor(notes, triangles = []) {
+        return notes.map(note => this.getFrequency(note, this.findPosition(note % 12, triangles)));
+    }
+
+    // Lattice { row, col } of a chord tone: a vertex of the chord's
+    // triangles, or else the simplest step from the first one's root
+    // (from the tonic on lattices other than T[3,4,5])
+    findPosition(pitchClass, triangles) {
+        if (!this.tonnetz.usesThirdsAndFifths()) {
+            const step = this.intervalSteps[(pitchClass - this.tonic + 12) % 12];
+            return { row: this.origin.row + step.rows, col: this.origin.col + step.cols };
+        }
+        for (const triangle of triangles) {
+            const vertex = triangle.vertices.find(v => v.pitchClass === pitchClass);
+            if (vertex) return vertex;
+        }
+        if (triangles.length === 0) return null;
+        
+        // Vertex 0 is the root of major and minor triangles
+        const root = triangles[0].vertices[0];
+        const step = this.intervalSteps[(pitchClass - root.pitchClass + 12) % 12];
+        return { row: root.row + step.rows, col: root.col + step.cols };
+    }
+
+    // Frequency of a MIDI note; position is its lattice { row, col }, used
+    // in just intonation
+    getFrequency(note, position) {
+        const equal = this.equalFrequency(note);
+        
+        if (this.mode === 'just' && position) {
+            const rows = position.row - this.origin.row;
+            const cols = position.col - this.origin.col;
+            const originClass = (((this.origin.row * 4 + this.origin.col * 7) % 12) + 12) % 12;
+            const pure = this.equalFrequency(60 + originClass) * Math.pow(5 / 4, rows) * Math.pow(3 / 2, cols);
+            // Into the octave of the note played
+            return pure * Math.pow(2, Math.round(Math.log2(equal / pure)));
+        }
+        
+        if (this.mode === 'scale' && this.scale) {
+            const { ratios, period } = this.scale;
+            const degree = note - this.baseNote;
+            const periods = Math.floor(degree / ratios.length);
+            const step = degree - periods * ratios.length;
+            return this.equalFrequency(this.baseNote) * Math.pow(period, periods) * ratios[step];
+        }
+        
+        return equal;
+    }
+
+    // Cents a frequency is above (or below) the note's equal-tempered pitch
+    getCents(note, frequency) {
+        return 1200 * Math.log2(frequency / this.equalFrequency(note));
+    }
+}
+
+// ============================================
+// PROGRESSIONS - Chord symbol and Roman numeral text
+// ============================================
+
+// Read a progression such as 'C Am F G | Em Am Dm G' or 'G: I V vi IV'
+// into the major and minor triads the lattice can show. Returns
+// { chords, warnings }: chords as { text, root, quality, pitchClasses,
+// beats }, and a message for every chord that was simplified or left out.
+//
+// - Chords are separated by spaces or commas. With bar lines ('|'), the
+//   chords in a bar share its beatsPerBar; otherwise beats is null.
+// - 'Key:' (e.g. 'Eb:', 'F#m:') sets the key for the Roman numerals that
+//   follow, which otherwise use options.key (C). Upper case numerals are
+//   major and lower case minor, with optional b/# ('bVII') and secondary
+//   chords ('V/V', 'vii/vi').
+// - Sevenths and other extensions (G7, Dm9, Cadd9, V7) are shown as their
+//   triad; suspended, diminished and augmented chords are left out.
+export function parseProgression(text, tonnetz, options = {}) {
+    const beatsPerBar = options.beatsPerBar || 4;
+    const chords = [];
+    const warnings = [];
+    let key = parseKeyName(options.key || 'C', tonnetz);
+    
+    const bars = String(text).split('|');
+    bars.forEach((bar) => {
+        const barChords = [];
+        bar.split(/[\s,]+/).filter(Boolean).forEach((token) => {
+            const keyMatch = /^(.+):$/.exec(token);
+            if (keyMatch) {
+                const newKey = parseKeyName(keyMatch[1], tonnetz);
+                if (newKey) {
+                    key = newKey;
+                } else {
+                    warnings.push(`"${token}" isn't a key`);
+                }
+                return;
+            }
+            
+            const chord = /^[b#]?[IViv]/.test(token)
+                ? parseRomanNumeral(token, key)
+                : parseChordName(token, tonnetz);
+            if (chord.error) {
+                warnings.push(chord.error);
+                return;
+            }
+            if (chord.note) {
+                warnings.push(chord.note);
+            }
+            const intervals = chord.quality === 'major' ? [0, 4, 7] : [0, 3, 7];
+            barChords.push({
+                text: token,
+                root: chord.root,
+                quality: chord.quality,
+                pitchClasses: intervals.map(interval => (chord.root + interval) % 12),
+                beats: null
+            });
+        });
+        
+        if (bars.length > 1) {
+            barChords.forEach((chord) => {
+                chord.beats = beatsPerBar / barChords.length;
+            });
+        }
+        chords.push(...barChords);
+    });
+    
+    return { chords, warnings };
+}
+
+// 'Eb' or 'F#m' -> { tonic, minor }; null if it isn't a key
+function parseKeyName(name, tonnetz) {
+    const match = /^([A-G](?:#|b)?)(m?)$/.exec(name);
+    const tonic = match ? tonnetz.parseNoteName(match[1]) : null;
+    return tonic === null ? null : { tonic, minor: match[2] === 'm' };
+}
+
+// Triad quality of a chord suffix: 'm7' -> { quality: 'minor', extended:
+// true }, or { error } for chords the lattice can't show
+function readChordSuffix(text, suffix) {
+    if (/^sus/.test(suffix)) {
+        return { error: `${text} left out: suspended chords aren't triangles on the lattice` };
+    }
+    if (/dim|°|^o|ø|b5|aug|\+|#5/.test(suffix)) {
+        return { error: `${text} left out: only major and minor triads are triangles on the lattice` };
+    }
+    const match = /^(min|mi|m(?!aj)|-)?(maj|M)?(.*)$/.exec(suffix);
+    const extension = match[3];
+    if (extension && !/^(6|7|9|11|13|6\/9|maj7|maj9|maj13|M7|M9|Δ7?|add\d+)$/.test(extension)) {
+        return { error: `Couldn't read "${text}"` };
+    }
+    return { quality: match[1] ? 'minor' : 'major', extended: Boolean(extension) };
+}
+
+function triadNote(text, triad) {
+    return `${text} shown as ${triad}: the lattice only holds triads`;
+}
+
+// 'F#m7' or 'C/E' -> { root, quality, note } or { error }
+function parseChordName(token, tonnetz) {
+    const match = /^([A-G](?:#|b)?)([^/]*)(?:\/([A-G](?:#|b)?))?$/.exec(token);
+    if (!match) {
+        return { error: `Couldn't read "${token}"` };
+    }
+    const chord = readChordSuffix(token, match[2]);
+    if (chord.error) return chord;
+    
+    const triad = match[1] + (chord.quality === 'minor' ? 'm' : '');
+    let note = null;
+    if (chord.extended) {
+        note = triadNote(token, triad);
+    } else if (match[3]) {
+        note = `${token} shown as ${triad}, without its bass note`;
+    }
+    return { root: tonnetz.parseNoteName(match[1]), quality: chord.quality, note };
+}
+
+// 'bVII', 'vi7' or 'V/V' in a key -> { root, quality, note } or { error }
+function parseRomanNumeral(token, key) {
+    const numerals = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+    const major = [0, 2, 4, 5, 7, 9, 11];
+    const minor = [0, 2, 3, 5, 7, 8, 10];
+    
+    // Root of one numeral ('bVII') over a tonic, in a major or minor key.
+    // Plain numerals follow the key's scale; flats and sharps alter the
+    // major scale, so bVI is Ab in both C major and C minor.
+    const readDegree = (text, tonic, isMinor) => {
+        const match = /^([b#]?)(VII|VI|V|IV|III|II|I|vii|vi|v|iv|iii|ii|i)(.*)$/.exec(text);
+        if (!match) return null;
+        const degree = numerals.indexOf(match[2].toUpperCase());
+        const shift = match[1] === 'b' ? -1 : match[1] === '#' ? 1 : 0;
+        const steps = isMinor && !shift ? minor : major;
+        return {
+            name: match[1] + match[2],
+            root: (tonic + steps[degree] + shift + 12) % 12,
+            quality: match[2] === match[2].toUpperCase() ? 'major' : 'minor',
+            suffix: match[3]
+        };
+    };
+    
+    // A secondary chord is read in the major or minor key of its target
+    const [chordPart, targetPart] = token.split('/');
+    let tonic = key.tonic;
+    let isMinor = key.minor;
+    if (targetPart !== undefined) {
+        const target = readDegree(targetPart, key.tonic, key.minor);
+        if (!target || target.suffix) {
+            return { error: `Couldn't read "${token}"` };
+        }
+        tonic = target.root;
+        isMinor = target.quality === 'minor';
+    }
+    
+    const numeral = readDegree(chordPart, tonic, isMinor);
+    if (!numeral) {
+        return { error: `Couldn't read "${token}"` };
+    }
+    // The numeral's case gives the quality; the suffix may only add
+    // extensions (or make it diminished or suspended)
+    const suffix = readChordSuffix(token, numeral.suffix);
+    if (suffix.error) return suffix;
+    if (suffix.quality === 'minor') {
+        return { error: `Couldn't read "${token}": write minor chords in lower case` };
+    }
+    const triad = numeral.name + (targetPart !== undefined ? '/' + targetPart : '');
+    return {
+        root: numeral.root,
+        quality: numeral.quality,
+        note: suffix.extended ? triadNote(token, triad) : null
+    };
+}
+
+// ============================================
+// HARMONIC ANALYSIS - Roman numerals and functions in a key
+// ============================================
+
+// The triads of each mode that are triangles on the lattice (ii° and vii°
+// aren't), as intervals above the tonic, with their harmonic function.
+// Minor keys have the harmonic minor's V as well as the natural v.
+const KEY_TRIADS = {
+    major: [
+        { interval: 0, quality: 'major', function: 'tonic' },
+        { interval: 2, quality: 'minor', function: 'subdominant' },
+        { interval: 4, quality: 'minor', function: 'tonic' },
+        { interval: 5, quality: 'major', function: 'subdominant' },
+        { interval: 7, quality: 'major', function: 'dominant' },
+        { interval: 9, quality: 'minor', function: 'tonic' }
+    ],
+    minor: [
+        { interval: 0, quality: 'minor', function: 'tonic' },
+        { interval: 3, quality: 'major', function: 'tonic' },
+        { interval: 5, quality: 'minor', function: 'subdominant' },
+        { interval: 7, quality: 'major', function: 'dominant' },
+        { interval: 7, quality: 'minor', function: 'dominant' },
+        { interval: 8, quality: 'major', function: 'subdominant' },
+        { interval: 10, quality: 'major', function: 'dominant' }
+    ]
+};
+
+// Numeral for each interval above the tonic: the key's own scale degrees
+// plain, the others raised or lowered. In major keys these read back the
+// same in parseRomanNumeral.
+const DEGREE_NUMERALS = {
+    major: ['I', 'bII', 'II', 'bIII', 'III', 'IV', 'bV', 'V', 'bVI', 'VI', 'bVII', 'VII'],
+    minor: ['I', 'bII', 'II', 'III', '#III', 'IV', 'bV', 'V', 'VI', '#VI', 'VII', '#VII']
+};
+
+// Chord qualities analysed by their triad, and the numeral's suffix
+const ANALYZED_QUALITIES = {
+    major: { triad: 'major', suffix: '' },
+    minor: { triad: 'minor', suffix: '' },
+    dominant7: { triad: 'major', suffix: '7' },
+    major7: { triad: 'major', suffix: 'maj7' },
+    minor7: { triad: 'minor', suffix: '7' }
+};
+
+// Tonic pitch class of a NoteSpeller key
+function getKeyTonic(key) {
+    return ((key.fifths * 7) % 12 + 12) % 12;
+}
+
+// The triad of KEY_TRIADS[mode] with this root and quality, if any
+function findKeyTriad(mode, tonic, root, quality) {
+    const interval = (root - tonic + 12) % 12;
+    return KEY_TRIADS[mode].find(triad => triad.interval === interval && triad.quality === quality);
+}
+
+function getRomanNumeral(mode, interval, quality) {
+    const numeral = DEGREE_NUMERALS[mode][interval];
+    return quality === 'minor' ? numeral.toLowerCase() : numeral;
+}
+
+// A chord's place in a NoteSpeller key: { numeral, function, relations },
+// e.g. { numeral: 'bVI', function: 'subdominant', relations: ['borrowed
+// from Cm', 'chromatic mediant'] }. function is 'tonic', 'subdominant',
+// 'dominant' or null. Returns null for chords that aren't built on a
+// major or minor triad.
+function analyzeInKey(chord, key) {
+    const analyzed = ANALYZED_QUALITIES[chord.quality];
+    if (!analyzed) return null;
+    
+    const tonic = getKeyTonic(key);
+    const interval = (chord.root - tonic + 12) % 12;
+    const quality = analyzed.triad;
+    const own = findKeyTriad(key.mode, tonic, chord.root, quality);
+    const relations = [];
+    let harmonicFunction = own ? own.function : null;
+    
+    if (!own) {
+        // Mode mixture: the chord belongs to the parallel key
+        const parallel = key.mode === 'major' ? 'minor' : 'major';
+        const borrowed = findKeyTriad(parallel, tonic, chord.root, quality);
+        if (borrowed) {
+            const name = key.mode === 'major' ? key.name + 'm' : key.name.replace(/m$/, '');
+            relations.push(`borrowed from ${name}`);
+            harmonicFunction = borrowed.function;
+        }
+        
+        // A major chord a fifth above one of the key's other chords
+        const target = quality === 'major' && KEY_TRIADS[key.mode].find((triad) => {
+            return triad.interval !== 0 && triad.interval === (interval + 5) % 12;
+        });
+        if (target) {
+            relations.push(`V/${getRomanNumeral(key.mode, target.interval, target.quality)}`);
+            harmonicFunction = harmonicFunction || 'dominant';
+        }
+        
+        // Same quality as the tonic, root a third away
+        if (quality === key.mode && [3, 4, 8, 9].includes(interval)) {
+            relations.push('chromatic mediant');
+        }
+    }
+    
+    return {
+        numeral: getRomanNumeral(key.mode, interval, quality) + analyzed.suffix,
+        function: harmonicFunction,
+        relations
+    };
+}
+
+// What links two chords' triads: a chromatic mediant (same quality, roots
+// a third apart), or a shared hexatonic (P and L) or octatonic (P and R)
+// cycle. Each major and minor triad lies on one hexatonic cycle, given by
+// its root mod 4, and one octatonic cycle, by its root mod 3. Returns
+// [{ type, roots }], roots being the major triads of the cycle.
+function relateTriads(previous, chord) {
+    const from = previous && ANALYZED_QUALITIES[previous.quality];
+    const to = ANALYZED_QUALITIES[chord.quality];
+    if (!from || !to) return [];
+    const distance = (chord.root - previous.root + 12) % 12;
+    if (distance === 0 && from.triad === to.triad) return [];
+    
+    const relations = [];
+    if (from.triad === to.triad && [3, 4, 8, 9].includes(distance)) {
+        relations.push({ type: 'chromatic mediant', roots: [] });
+    }
+    if (distance % 4 === 0) {
+        relations.push({ type: 'hexatonic', roots: [0, 4, 8].map(step => (chord.root + step) % 12) });
+    }
+    if (distance % 3 === 0) {
+        relations.push({ type: 'octatonic', roots: [0, 3, 6, 9].map(step => (chord.root + step) % 12) });
+    }
+    return relations;
+}
+
+// ============================================
+// ENGINE - Player movement and chord state
+// ============================================
+
+// Everything that happens when the sphere moves over the lattice: rolling
+// with friction or gliding between triangles, wrapping around the torus,
+// choosing and voicing the chord underfoot and logging each move. It knows
+// nothing about the screen or the speakers; a front end calls step() once
+// per frame and listens for events:
+//   { type: 'chord', chord, previous, notes, frequencies, spelling, gesture }
+//                                                        play and show a chord
+//                                                        (gesture: see getGesture)
+//   { type: 'silence', previous }                        left the grid
+//   { type: 'enter', triangle, operation }               landed on a triangle
+//   { type: 'log', entry }                               transformation logged
+//   { type: 'wrap', shift }                              position jumped a period
+//   { type: 'spelling' }                                 note names changed
+//   { type: 'lattice' }                                  the lattice was rebuilt
+export class TonnetzEngine {
+    // options: { width, height, intervals } of the grid, as for TonnetzSystem
+    constructor(options = {}) {
+        this.tonnetz = new TonnetzSystem(options);
+        this.voicing = new VoicingEngine();
+        this.speller = new NoteSpeller();
+        this.tuning = new Tuning(this.tonnetz);
+        this.tuning.setTonic(0);
+        this.listeners = [];
+        
+        // Player: position on the ground plane, rolled with constant
+        // acceleration and friction each step
+        this.position = { x: 0, z: 0 };
+        this.velocity = { x: 0, z: 0 };
+        this.speed = 0.00167;
+        this.friction = 0.95;
+        this.gestureSpeed = 0.04;         // Speed that counts as fast, for getGesture
+        this.direction = { x: 0, z: 0 };  // Held direction, each -1..1
+        this.target = null;               // Point to roll towards (touch)
+        
+        // Movement mode: 'free' rolls the sphere with physics, 'discrete'
+        // steps between triangles with neo-Riemannian operations
+        this.movementMode = 'free';
+        this.snapTarget = null;
+        
+        // On the chicken-wire graph free movement runs along the edges,
+        // node to node: { from, to } while on an edge
+        this.edgeRun = null;
+        this.edgeSpeed = 0.06;            // World units per step
+        
+        // Harmony layer: 'triads' plays each triangle as it is, 'rhombi'
+        // joins a triangle with its L or R neighbour (maj7 / m7) when the
+        // sphere is near their shared edge. A held quality replaces the
+        // triangle's chord with another quality on the same root.
+        this.harmonyLayer = 'triads';
+        this.rhombusBand = 0.35; // Distance from the edge, in triangle sizes
+        this.heldQuality = null;
+        
+        this.currentTriangle = null;
+        this.currentChord = null;
+        this.previousChord = null;        // The chord before, for analyzeChord
+        this.currentNotes = null;
+        this.currentFrequencies = null;
+        
+        // Every visited chord and the operation that led to it
+        this.transformationLog = [];
+        this.maxLogEntries = 500;
+    }
+
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+
+    emit(event) {
+        this.listeners.forEach(listener => listener(event));
+    }
+
+    // Direction to roll in, e.g. (1, -1) for right and up; (0, 0) to coast
+    setDirection(x, z) {
+        this.direction.x = x;
+        this.direction.z = z;
+    }
+
+    // Roll towards a point (e.g. where the screen is touched); null to stop
+    setTarget(point) {
+        this.target = point ? { x: point.x, z: point.z } : null;
+    }
+
+    // Advance one frame: move, wrap and update the chord underfoot
+    step() {
+        if (this.tonnetz.dual && this.movementMode === 'free') {
+            this.followEdges();
+        } else {
+            this.roll();
+        }
+
+        // In wrap mode, crossing a border re-enters on the matching
+        // triangle at the opposite side
+        this.wrapPosition();
+
+        // Check which triangle the player is in
+        this.checkPosition();
+    }
+
+    // Move with the rolling physics, or glide to the target triangle in
+    // PLR mode
+    roll() {
+        if (this.movementMode === 'discrete') {
+            // Discrete moves: glide towards the center of the target triangle
+            if (this.snapTarget) {
+                this.velocity.x = (this.snapTarget.x - this.position.x) * 0.2;
+                this.velocity.z = (this.snapTarget.z - this.position.z) * 0.2;
+            }
+        } else if (this.target) {
+            // Calculate direction from player to target
+            const dx = this.target.x - this.position.x;
+            const dz = this.target.z - this.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            
+            // Only move if the target is far enough from the player
+            if (distance > 0.5) {
+                // Normalize and apply speed
+                this.velocity.x += (dx / distance) * this.speed * 1.5;
+                this.velocity.z += (dz / distance) * this.speed * 1.5;
+            }
+        } else {
+            this.velocity.x += this.direction.x * this.speed;
+            this.velocity.z += this.direction.z * this.speed;
+        }
+
+        // Apply friction
+        this.velocity.x *= this.friction;
+        this.velocity.z *= this.friction;
+
+        // Update position
+        this.position.x += this.velocity.x;
+        this.position.z += this.velocity.z;
+    }
+
+    // Chicken-wire movement: run along an edge to the next chord's node.
+    // At each node the edge closest to the held direction (or the way to
+    // the touched point) is taken; pushing back turns round mid-edge.
+    followEdges() {
+        const wanted = this.getWantedDirection();
+        if (this.edgeRun && wanted) {
+            const { from, to } = this.edgeRun;
+            const length = Math.hypot(to.x - from.x, to.z - from.z);
+            if (((to.x - from.x) * wanted.x + (to.z - from.z) * wanted.z) / length < -0.5) {
+                this.edgeRun = { from: to, to: from };
+            }
+        }
+        if (!this.edgeRun && wanted) {
+            this.edgeRun = this.chooseEdge(wanted);
+        }
+        if (!this.edgeRun) {
+            this.velocity.x = 0;
+            this.velocity.z = 0;
+            return;
+        }
+        
+        const { to } = this.edgeRun;
+        const dx = to.x - this.position.x;
+        const dz = to.z - this.position.z;
+        const distance = Math.hypot(dx, dz);
+        const travel = Math.min(distance, this.edgeSpeed);
+        this.velocity.x = distance > 0 ? (dx / distance) * travel : 0;
+        this.velocity.z = distance > 0 ? (dz / distance) * travel : 0;
+        this.position.x += this.velocity.x;
+        this.position.z += this.velocity.z;
+        if (travel === distance) {
+            this.edgeRun = null;
+        }
+    }
+
+    // Unit vector the player is asking to move in, or null
+    getWantedDirection() {
+        if (this.target) {
+            const dx = this.target.x - this.position.x;
+            const dz = this.target.z - this.position.z;
+            const distance = Math.hypot(dx, dz);
+            // Stop at the node nearest the touched point
+            return distance > this.tonnetz.triangleSize / 3 ? { x: dx / distance, z: dz / distance } : null;
+        }
+        const length = Math.hypot(this.direction.x, this.direction.z);
+        return length > 0.1 ? { x: this.direction.x / length, z: this.direction.z / length } : null;
+    }
+
+    // The edge from the current node that best follows direction, as
+    // { from, to }, or null if none goes that way. Off the graph (e.g. just
+    // after switching to it) the sphere first jumps to the nearest node.
+    chooseEdge(direction) {
+        const triangle = this.currentTriangle;
+        if (!triangle) {
+            const nearest = this.findNearestTriangle(this.position.x, this.position.z);
+            this.position.x = nearest.center.x;
+            this.position.z = nearest.center.z;
+            return null;
+        }
+        
+        // Measure edges in lattice steps so they cross wrapped borders
+        const center = this.tonnetz.getCellCenter(triangle.row, triangle.col, triangle.type);
+        let best = null;
+        // Take edges up to 60 degrees off, so steering straight up or down
+        // zig-zags rather than stopping
+        let bestScore = 0.45;
+        ['P', 'L', 'R'].forEach((operation) => {
+            const cell = this.tonnetz.getNeighborCell(triangle.row, triangle.col, triangle.type, operation);
+            if (!this.tonnetz.getTriangleAt(cell.row, cell.col, cell.type)) return;
+            const next = this.tonnetz.getCellCenter(cell.row, cell.col, cell.type);
+            const dx = next.x - center.x;
+            const dz = next.z - center.z;
+            const score = (dx * direction.x + dz * direction.z) / Math.hypot(dx, dz);
+            if (score > bestScore) {
+                bestScore = score;
+                best = {
+                    from: { x: this.position.x, z: this.position.z },
+                    to: { x: this.position.x + dx, z: this.position.z + dz }
+                };
+            }
+        });
+        return best;
+    }
+
+    wrapPosition() {
+        const shift = this.tonnetz.getWrapOffset(this.position.x, this.position.z);
+        if (shift.x === 0 && shift.z === 0) return;
+        
+        // Move everything that follows the player by the same amount; the
+        // field is periodic, so the jump is invisible
+        this.position.x += shift.x;
+        this.position.z += shift.z;
+        const edge = this.edgeRun ? [this.edgeRun.from, this.edgeRun.to] : [];
+        [this.target, this.snapTarget, ...edge].forEach((point) => {
+            if (!point) return;
+            point.x += shift.x;
+            point.z += shift.z;
+        });
+        this.emit({ type: 'wrap', shift });
+    }
+
+    checkPosition() {
+        // Discrete moves switch chords as soon as the key is pressed
+        if (this.movementMode === 'discrete' && this.currentTriangle) {
+            this.updateHarmony();
+            return;
+        }
+        
+        const triangle = this.tonnetz.findTriangleAtPosition(this.position.x, this.position.z);
+
+        if (triangle !== this.currentTriangle) {
+            this.enterTriangle(triangle);
+        } else {
+            this.updateHarmony();
+        }
+    }
+
+    // Make triangle the current one: play its chord and log the
+    // transition. operation names the move that got us here; when omitted
+    // it is worked out from the chords.
+    enterTriangle(triangle, operation) {
+        this.currentTriangle = triangle;
+        
+        if (triangle) {
+            this.playHarmony(this.resolveChord(triangle));
+            this.logTransition(triangle, operation);
+            this.emit({ type: 'enter', triangle, operation });
+        } else {
+            // Not on any triangle: silence the previous chord
+            const previous = this.currentChord;
+            this.currentChord = null;
+            this.emit({ type: 'silence', previous });
+        }
+    }
+
+    // Work out which chord to play on a triangle, taking the held quality
+    // and the harmony layer into account. Returns { key, name, quality,
+    // pitchClasses, triangles } where triangles are the ones to highlight.
+    resolveChord(triangle) {
+        let pitchClasses = triangle.pitchClasses;
+        let triangles = [triangle];
+        
+        if (this.heldQuality && this.heldQuality !== 'triad') {
+            pitchClasses = this.tonnetz.buildChord(triangle.root, this.heldQuality);
+        } else if (this.harmonyLayer === 'rhombi' && !this.heldQuality) {
+            const partner = this.findRhombusPartner(triangle);
+            if (partner) {
+                pitchClasses = [...triangle.pitchClasses, ...partner.pitchClasses];
+                triangles = [triangle, partner];
+            }
+        }
+        
+        // Name relative to the triangle's root first (so C + Em is Cmaj7)
+        const chord = this.tonnetz.nameChord(pitchClasses, triangle.root);
+        return {
+            key: `${chord.name}:${triangles.map(t => this.tonnetz.triangles.indexOf(t)).join(',')}`,
+            name: chord.name,
+            root: chord.root,
+            quality: chord.quality,
+            pitchClasses: chord.pitchClasses,
+            triangles: triangles
+        };
+    }
+
+    // The L or R neighbour whose shared edge the sphere is close to, if any.
+    // Those two rhombi make the major 7th and minor 7th chords.
+    findRhombusPartner(triangle) {
+        const band = this.rhombusBand * this.tonnetz.triangleSize;
+        
+        for (const operation of ['L', 'R']) {
+            if (this.getEdgeDistance(triangle, operation) < band) {
+                const cell = this.tonnetz.getNeighborCell(triangle.row, triangle.col, triangle.type, operation);
+                const partner = this.tonnetz.getTriangleAt(cell.row, cell.col, cell.type);
+                if (partner) return partner;
+            }
+        }
+        return null;
+    }
+
+    // Distance from the sphere to the line of the triangle edge a P, L or R
+    // move crosses
+    getEdgeDistance(triangle, operation) {
+        const [a, b] = this.tonnetz.getTransformationEdge(triangle, operation);
+        const ex = b.x - a.x;
+        const ez = b.z - a.z;
+        const px = this.position.x;
+        const pz = this.position.z;
+        return Math.abs(ex * (pz - a.z) - ez * (px - a.x)) / Math.sqrt(ex * ex + ez * ez);
+    }
+
+    // How the sphere is moving over its triangle, for expressive playing:
+    // { speed, offset, neighbor }. speed runs from 0 (still) to 1 (a fast
+    // roll), offset from 0 at the triangle's center to 1 on its nearest
+    // edge, and neighbor is the triangle across that edge (null at the
+    // border of the grid).
+    getGesture() {
+        const speed = Math.min(1, Math.hypot(this.velocity.x, this.velocity.z) / this.gestureSpeed);
+        const triangle = this.currentTriangle;
+        if (!triangle) {
+            return { speed, offset: 0, neighbor: null };
+        }
+        
+        let nearest = null;
+        let nearestDistance = Infinity;
+        ['P', 'L', 'R'].forEach((operation) => {
+            const distance = this.getEdgeDistance(triangle, operation);
+            if (distance < nearestDistance) {
+                nearest = operation;
+                nearestDistance = distance;
+            }
+        });
+        const cell = this.tonnetz.getNeighborCell(triangle.row, triangle.col, triangle.type, nearest);
+        // Center to edge of an equilateral triangle
+        const inradius = this.tonnetz.triangleSize * Math.sqrt(3) / 6;
+        return {
+            speed,
+            offset: Math.min(1, Math.max(0, 1 - nearestDistance / inradius)),
+            neighbor: this.tonnetz.getTriangleAt(cell.row, cell.col, cell.type)
+        };
+    }
+
+    // Voice a chord the way it would be voiced next, without moving the
+    // voice leading on (e.g. to sound a neighbour before reaching it)
+    previewVoicing(pitchClasses) {
+        const previous = this.voicing.previous;
+        const notes = this.voicing.voice(pitchClasses);
+        this.voicing.previous = previous;
+        return notes;
+    }
+
+    // Re-check the chord on the current triangle (e.g. after a quality key
+    // or moving near an edge) and replay it if it changed
+    updateHarmony() {
+        if (!this.currentTriangle) return;
+        const chord = this.resolveChord(this.currentTriangle);
+        if (!this.currentChord || chord.key !== this.currentChord.key) {
+            this.playHarmony(chord);
+        }
+    }
+
+    setHeldQuality(quality) {
+        if (quality === this.heldQuality) return;
+        this.heldQuality = quality;
+        this.updateHarmony();
+    }
+
+    setHarmonyLayer(layer) {
+        this.harmonyLayer = layer;
+        this.updateHarmony();
+    }
+
+    // Voice a chord from resolveChord and announce it
+    playHarmony(chord) {
+        const previous = this.currentChord;
+        this.currentChord = chord;
+        if (previous && previous !== chord) {
+            this.previousChord = previous;
+        }
+        
+        // Voice and tune chord (sustained until it changes)
+        this.currentNotes = this.voicing.voice(chord.pitchClasses);
+        this.currentFrequencies = this.tuning.frequenciesFor(this.currentNotes, chord.triangles);
+        const spelling = this.spellChord(chord);
+        this.emit({
+            type: 'chord',
+            chord,
+            previous,
+            notes: this.currentNotes,
+            frequencies: this.currentFrequencies,
+            spelling,
+            gesture: this.getGesture()
+        });
+        
+        // Let the spelling follow the music (does nothing when a key is set)
+        if (this.speller.follow(spelling)) {
+            this.emit({ type: 'spelling' });
+        }
+    }
+
+    // Spell a chord given as { root, quality, pitchClasses }
+    spellChord(chord) {
+        const definition = chord.quality && this.tonnetz.chordQualities[chord.quality];
+        const spelling = this.speller.spellChord(
+            chord.root,
+            chord.quality,
+            chord.pitchClasses,
+            definition ? definition.suffix : ''
+        );
+        if (!definition) {
+            // Unknown chord: list its notes
+            const notes = chord.pitchClasses.map(pc => spelling.noteNames[pc]).join('-');
+            spelling.name = `${spelling.noteNames[chord.root]}(${notes})`;
+        }
+        return spelling;
+    }
+
+    // Roman numeral and function of a chord in the chosen key (see
+    // analyzeInKey), and what links it to the key and to the chord before,
+    // as { numeral, function, relations } with relations as text, e.g.
+    // ['V/vi', 'hexatonic cycle C E Ab']. Without a key only the links to
+    // the chord before are given.
+    analyzeChord(chord = this.currentChord, previous = this.previousChord) {
+        const key = this.speller.key;
+        const analysis = (key && analyzeInKey(chord, key)) || { numeral: null, function: null, relations: [] };
+        relateTriads(previous, chord).forEach(({ type, roots }) => {
+            if (type === 'chromatic mediant') {
+                analysis.relations.push(`chromatic mediant of ${this.spellChord(previous).name}`);
+            } else {
+                const names = roots.map(root => this.speller.spellPitchClass(root));
+                analysis.relations.push(`${type} cycle ${names.join(' ')}`);
+            }
+        });
+        return analysis;
+    }
+
+    // Harmonic function of a triangle's triad in the chosen key, or null
+    // if it isn't one of the key's chords
+    getKeyFunction(triangle) {
+        const key = this.speller.key;
+        const triad = key && findKeyTriad(key.mode, getKeyTonic(key), triangle.root, triangle.quality);
+        return triad ? triad.function : null;
+    }
+
+    // Spelled name of a triangle's triad
+    spellTriangle(triangle) {
+        return this.spellChord({
+            root: triangle.root,
+            quality: triangle.quality,
+            pitchClasses: triangle.pitchClasses
+        }).name;
+    }
+
+    setKey(key) {
+        this.speller.setKey(key);
+        this.emit({ type: 'spelling' });
+    }
+
+    // Retune the chord we're standing on after changing the tuning
+    retune() {
+        if (this.currentChord) {
+            this.playHarmony(this.currentChord);
+        }
+    }
+
+    setVoicingStrategy(strategy) {
+        this.voicing.setStrategy(strategy);
+        // Re-voice the chord we're standing on
+        if (this.currentChord) {
+            this.playHarmony(this.currentChord);
+        }
+    }
+
+    // Move the sphere to the nearest triangle holding these pitch classes
+    // (e.g. a triad played on a MIDI keyboard). Returns the triangle, or
+    // null if none matches.
+    moveToChord(pitchClasses) {
+        const target = this.findNearestTriangle(this.position.x, this.position.z, (triangle) => {
+            return triangle.pitchClasses.length === pitchClasses.length &&
+                pitchClasses.every(pc => triangle.pitchClasses.includes(pc));
+        });
+        if (target) {
+            this.moveToTriangle(target);
+        }
+        return target;
+    }
+
+    // Put the sphere on a triangle (gliding there in PLR mode) and play it
+    moveToTriangle(target) {
+        if (target === this.currentTriangle) return;
+        
+        this.velocity.x = 0;
+        this.velocity.z = 0;
+        if (this.movementMode === 'discrete') {
+            this.snapTarget = { x: target.center.x, z: target.center.z };
+        } else {
+            this.position.x = target.center.x;
+            this.position.z = target.center.z;
+        }
+        this.enterTriangle(target);
+    }
+
+    // Replace the log with a path of triangles, oldest first (e.g. from a
+    // saved session), and stand on the last one
+    restorePath(triangles) {
+        this.transformationLog = [];
+        this.currentTriangle = null;
+        triangles.forEach(triangle => this.logTransition(triangle));
+        if (triangles.length > 0) {
+            // Jump straight there, even in PLR mode
+            const last = triangles[triangles.length - 1];
+            this.position.x = last.center.x;
+            this.position.z = last.center.z;
+            this.moveToTriangle(last);
+        }
+    }
+
+    setMovementMode(mode) {
+        this.movementMode = mode;
+        this.velocity.x = 0;
+        this.velocity.z = 0;
+        this.edgeRun = null;
+        
+        if (mode === 'discrete') {
+            // Start stepping from the triangle we're on, or the closest one
+            const triangle = this.currentTriangle || this.findNearestTriangle(this.position.x, this.position.z);
+            this.snapTarget = { x: triangle.center.x, z: triangle.center.z };
+            if (triangle !== this.currentTriangle) {
+                this.enterTriangle(triangle);
+            }
+        } else {
+            this.snapTarget = null;
+        }
+    }
+
+    // Triangle whose center is closest to (x, z), optionally only among
+    // those passing filter(triangle)
+    findNearestTriangle(x, z, filter) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.tonnetz.triangles.forEach((triangle) => {
+            if (filter && !filter(triangle)) return;
+            const dx = triangle.center.x - x;
+            const dz = triangle.center.z - z;
+            const distance = dx * dx + dz * dz;
+            if (distance < nearestDistance) {
+                nearest = triangle;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    // The route a progression (chords from parseProgression) takes across
+    // the lattice: each chord's nearest triangle to the one before,
+    // starting from the sphere. null for chords that aren't on the grid.
+    routeProgression(chords) {
+        let from = this.position;
+        return chords.map((chord) => {
+            const triangle = this.findNearestTriangle(from.x, from.z, (candidate) => {
+                return candidate.root === chord.root && candidate.quality === chord.quality;
+            });
+            if (triangle) {
+                from = triangle.center;
+            }
+            return triangle;
+        });
+    }
+
+    // Switch lattice: intervals [a, b, c] for T[a,b,c] (see
+    // TonnetzSystem.setIntervals) and/or dual for the chicken-wire graph.
+    // The visited cells are replayed on the new lattice, so the sphere
+    // stays where it is and the log lists the chords the same path makes
+    // there. Throws an Error for intervals that aren't a lattice.
+    setLattice({ intervals = this.tonnetz.intervals, dual = this.tonnetz.dual } = {}) {
+        const rebuild = String(intervals) !== String(this.tonnetz.intervals);
+        if (!rebuild && Boolean(dual) === this.tonnetz.dual) return;
+        
+        const here = this.currentTriangle || this.findNearestTriangle(this.position.x, this.position.z);
+        const cells = this.transformationLog.map(({ triangle }) => triangle);
+        if (cells[cells.length - 1] !== here) {
+            cells.push(here);
+        }
+        
+        if (rebuild) {
+            this.tonnetz.setIntervals(intervals);
+            this.tuning.setTonic(this.tuning.tonic);
+        }
+        this.tonnetz.dual = Boolean(dual);
+        this.edgeRun = null;
+        this.velocity.x = 0;
+        this.velocity.z = 0;
+        this.emit({ type: 'lattice' });
+        
+        if (rebuild) {
+            this.restorePath(cells.map(cell => this.tonnetz.getTriangleAt(cell.row, cell.col, cell.type)));
+        } else if (dual) {
+            // Start from a node of the graph
+            this.position.x = here.center.x;
+            this.position.z = here.center.z;
+            this.moveToTriangle(here);
+        }
+    }
+
+    // Step to the neighbouring triangle given by a neo-Riemannian operation
+    // (P, L, R or a compound like N). Does nothing at the edge of a
+    // non-wrapping grid.
+    applyTransformation(operation) {
+        const from = this.currentTriangle;
+        if (!from) return;
+        
+        const cell = this.tonnetz.transformCell(from.row, from.col, from.type, operation);
+        const target = cell && this.tonnetz.getTriangleAt(cell.row, cell.col, cell.type);
+        if (!target) return;
+        
+        // Move by the lattice distance rather than to target.center, so in
+        // wrap mode the sphere glides across the border instead of jumping
+        // back over the whole grid
+        const fromCenter = this.tonnetz.getCellCenter(from.row, from.col, from.type);
+        const toCenter = this.tonnetz.getCellCenter(cell.row, cell.col, cell.type);
+        const base = this.snapTarget || from.center;
+        this.snapTarget = {
+            x: base.x + toCenter.x - fromCenter.x,
+            z: base.z + toCenter.z - fromCenter.z
+        };
+        
+        this.enterTriangle(target, operation);
+    }
+
+    // Append a chord to the transformation log, labelled with the operation
+    // from the previous chord
+    logTransition(triangle, operation) {
+        const last = this.transformationLog[this.transformationLog.length - 1];
+        let label = null;
+        
+        if (last) {
+            label = operation !== undefined
+                ? operation
+                : this.tonnetz.identifyTransformation(last.triangle, triangle);
+            // Same chord again (e.g. re-entering after leaving the grid)
+            if (label === '') return;
+        }
+        
+        const entry = {
+            triangle: triangle,
+            chordName: this.spellTriangle(triangle),
+            operation: label
+        };
+        this.transformationLog.push(entry);
+        if (this.transformationLog.length > this.maxLogEntries) {
+            this.transformationLog.shift();
+        }
+        
+        this.emit({ type: 'log', entry });
+    }
+}
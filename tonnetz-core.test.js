@@ -0,0 +1,147 @@
+// Tests for the headless core: run with `node --test` (Node 20.19 or later)
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TonnetzSystem, TonnetzEngine, VoicingEngine, parseProgression } from './tonnetz-core.js';
+
+// Repeatable pseudo-random numbers in [0, 1)
+function random(seed) {
+    return () => {
+        seed = (seed * 1664525 + 1013904223) % 4294967296;
+        return seed / 4294967296;
+    };
+}
+
+// An engine standing on the C major triangle
+function engineOnC(options) {
+    const engine = new TonnetzEngine(options);
+    engine.moveToChord([0, 4, 7]);
+    return engine;
+}
+
+// ============================================
+// LATTICE
+// ============================================
+
+test('every cell holds a major and a minor triad', () => {
+    const tonnetz = new TonnetzSystem({ width: 12, height: 8 });
+    assert.equal(tonnetz.triangles.length, 12 * 8 * 2);
+    tonnetz.triangles.forEach((triangle) => {
+        const [root, third, fifth] = triangle.pitchClasses;
+        const intervals = [(third - root + 12) % 12, (fifth - root + 12) % 12];
+        assert.deepEqual(intervals, triangle.type === 'major' ? [4, 7] : [3, 7], triangle.chordName);
+    });
+});
+
+test('findTriangleAtPosition agrees with testing every triangle', () => {
+    const tonnetz = new TonnetzSystem({ width: 12, height: 8 });
+    const xs = tonnetz.triangles.flatMap(triangle => triangle.vertices.map(vertex => vertex.x));
+    const zs = tonnetz.triangles.flatMap(triangle => triangle.vertices.map(vertex => vertex.z));
+    const [minX, maxX, minZ, maxZ] = [Math.min(...xs), Math.max(...xs), Math.min(...zs), Math.max(...zs)];
+    
+    const next = random(1);
+    for (let i = 0; i < 20000; i++) {
+        const x = minX - 2 + next() * (maxX - minX + 4);
+        const z = minZ - 2 + next() * (maxZ - minZ + 4);
+        assert.equal(tonnetz.findTriangleAtPosition(x, z), tonnetz.scanTriangleAtPosition(x, z), `at ${x}, ${z}`);
+    }
+});
+
+test('wrap mode finds a triangle anywhere', () => {
+    const tonnetz = new TonnetzSystem({ width: 12, height: 8 });
+    tonnetz.wrap = true;
+    const next = random(2);
+    for (let i = 0; i < 1000; i++) {
+        assert.ok(tonnetz.findTriangleAtPosition(next() * 400 - 200, next() * 400 - 200));
+    }
+});
+
+// ============================================
+// TRANSFORMATIONS
+// ============================================
+
+test('P, L, R, N, S and H step to the right chords', () => {
+    const expected = { P: 'Cm', L: 'Em', R: 'Am', N: 'Fm', S: 'Dbm', H: 'Abm' };
+    Object.entries(expected).forEach(([operation, chord]) => {
+        const engine = engineOnC();
+        engine.applyTransformation(operation);
+        assert.equal(engine.currentTriangle.chordName, chord, operation);
+    });
+});
+
+test('compound moves chain from minor triads too', () => {
+    const engine = engineOnC();
+    engine.applyTransformation('N');
+    engine.applyTransformation('S');
+    assert.equal(engine.currentTriangle.chordName, 'E');
+    engine.applyTransformation('H');
+    assert.equal(engine.currentTriangle.chordName, 'Cm');
+});
+
+test('the log names each move', () => {
+    const engine = engineOnC();
+    const from = engine.currentTriangle;
+    engine.applyTransformation('R');
+    engine.applyTransformation('L');
+    assert.equal(engine.tonnetz.identifyTransformation(from, engine.currentTriangle), 'RL');
+    assert.deepEqual(engine.transformationLog.map(entry => entry.triangle.chordName), ['C', 'Am', 'F']);
+});
+
+// ============================================
+// VOICING
+// ============================================
+
+test('closest voice leading keeps common tones', () => {
+    const voicing = new VoicingEngine();
+    const c = voicing.voice([0, 4, 7]);
+    const am = voicing.voice([9, 0, 4]);
+    assert.equal(c.filter(note => am.includes(note)).length, 2);
+});
+
+// ============================================
+// PROGRESSIONS
+// ============================================
+
+test('parseProgression simplifies or leaves out what the lattice lacks', () => {
+    const tonnetz = new TonnetzSystem();
+    const { chords, warnings } = parseProgression('C G7 Am Fsus4 Bdim', tonnetz);
+    assert.deepEqual(chords.map(chord => chord.text), ['C', 'G7', 'Am']);
+    assert.deepEqual(chords[1].pitchClasses, [7, 11, 2]);
+    assert.deepEqual(warnings, [
+        'G7 shown as G: the lattice only holds triads',
+        "Fsus4 left out: suspended chords aren't triangles on the lattice",
+        'Bdim left out: only major and minor triads are triangles on the lattice'
+    ]);
+});
+
+test('parseProgression reads Roman numerals in a key, with bars', () => {
+    const tonnetz = new TonnetzSystem();
+    const { chords, warnings } = parseProgression('Eb: I | IV V/V | vi', tonnetz);
+    assert.deepEqual(chords.map(chord => [chord.root, chord.quality, chord.beats]), [
+        [3, 'major', 4], [8, 'major', 2], [5, 'major', 2], [0, 'minor', 4]
+    ]);
+    assert.deepEqual(warnings, []);
+});
+
+// ============================================
+// LATTICES
+// ============================================
+
+test('switching lattice keeps the sphere on its cell and back again', () => {
+    const engine = engineOnC();
+    const { row, col, type } = engine.currentTriangle;
+    
+    engine.setLattice({ intervals: [2, 3, 7] });
+    assert.deepEqual(engine.tonnetz.intervals, [2, 3, 7]);
+    assert.deepEqual([engine.currentTriangle.row, engine.currentTriangle.col, engine.currentTriangle.type], [row, col, type]);
+    assert.equal(engine.currentTriangle.quality, '(035)');
+    
+    engine.setLattice({ intervals: [3, 4, 5] });
+    assert.equal(engine.currentTriangle.chordName, 'C');
+});
+
+test('setLattice refuses intervals that are not a lattice', () => {
+    const engine = engineOnC();
+    assert.throws(() => engine.setLattice({ intervals: [3, 4, 6] }), /adding up to 12/);
+    assert.deepEqual(engine.tonnetz.intervals, [3, 4, 5]);
+});